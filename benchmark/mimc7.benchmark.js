@@ -0,0 +1,35 @@
+const snarkjs = require('snarkjs');
+const mimc7 = require('../src/sparse-merkle-tree/mimc7');
+
+const { bigInt } = snarkjs;
+
+// Number of hashes, it can be given as first argument
+const numHashes = Number(process.argv[2]) || 10000;
+
+// Inputs as the merkle tree hashes them: two elements per call
+const inputs = [];
+for (let i = 0; i < numHashes; i++) {
+  inputs.push([bigInt(i), bigInt(numHashes - i)]);
+}
+
+function run(name, multiHash) {
+  const results = [];
+  const start = Date.now();
+  for (let i = 0; i < numHashes; i++) {
+    results.push(multiHash(inputs[i]));
+  }
+  const elapsed = Math.max(Date.now() - start, 1);
+  process.stdout.write(`${name}: ${numHashes} hashes in ${elapsed} ms (${Math.round((numHashes * 1000) / elapsed)} hashes/s)\n`);
+  return { results, elapsed };
+}
+
+const old = run('mimc7 reference', mimc7.multiHashReference);
+const current = run('mimc7', mimc7.multiHash);
+
+for (let i = 0; i < numHashes; i++) {
+  if (!old.results[i].equals(current.results[i])) {
+    console.error(`Outputs differ for input ${i}`);
+    process.exit(1);
+  }
+}
+process.stdout.write(`Identical outputs, speedup x${(old.elapsed / current.elapsed).toFixed(1)}\n`);
@@ -1,5 +1,5 @@
 const utils = require('../../utils');
-const mimc7 = require('../../sparse-merkle-tree/mimc7');
+const hashers = require('../../sparse-merkle-tree/hashers');
 const helpers = require('../../sparse-merkle-tree/sparse-merkle-tree-utils');
 
 /**
@@ -32,24 +32,26 @@ class Entry {
   }
 
   /**
-   * Hash index calculation using mimc7 hash
+   * Hash index calculation using mimc7 hash, unless other hasher is given
    * Hash index is calculated from: |element 1|element 0|
+   * @param {Object} hasher - Hash function, as the ones on hashers module
    * @returns {Buffer} Hash index of the claim element structure
    */
-  hi() {
+  hi(hasher = hashers.mimc7) {
     const hashArray = [this._elements[2], this._elements[3]];
-    const hashKey = mimc7.multiHash(helpers.getArrayBigIntFromBuffArray(hashArray));
+    const hashKey = hasher.multiHash(helpers.getArrayBigIntFromBuffArray(hashArray));
     return helpers.bigIntToBuffer(hashKey);
   }
 
   /**
-   * Hash value calculation using mimc7 hash
+   * Hash value calculation using mimc7 hash, unless other hasher is given
    * Hash value is calculated from: |element 3|element 2|
+   * @param {Object} hasher - Hash function, as the ones on hashers module
    * @returns {Buffer} Hash value of the claim element structure
    */
-  hv() {
+  hv(hasher = hashers.mimc7) {
     const hashArray = [this._elements[0], this._elements[1]];
-    const hashKey = mimc7.multiHash(helpers.getArrayBigIntFromBuffArray(hashArray));
+    const hashKey = hasher.multiHash(helpers.getArrayBigIntFromBuffArray(hashArray));
     return helpers.bigIntToBuffer(hashKey);
   }
 
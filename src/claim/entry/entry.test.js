@@ -1,6 +1,7 @@
 const chai = require('chai');
 const Entry = require('./entry');
 const utils = require('../../utils');
+const hashers = require('../../sparse-merkle-tree/hashers');
 
 const { expect } = chai;
 
@@ -34,6 +35,10 @@ describe('[Entry]', () => {
     const hv = entry.hv();
     expect(utils.bytesToHex(hv)).to.be.equal('0x197951765bf12947bbd7ef4662dbb210e455882529d7f032e728c73b56392609');
   });
+  it('Get Hash index and Hash value with poseidon', () => {
+    expect(utils.bytesToHex(entry.hi(hashers.poseidon))).to.be.equal('0x016d44d40888bfe0c7ad50247678bbca12965edb506fbc4b79a240fe2dbff331');
+    expect(utils.bytesToHex(entry.hv(hashers.poseidon))).to.be.equal('0x0350757bb5b9ffd4657cef9424abfc3de7b5dc89a15bbf30ccf9bb96361467d3');
+  });
   it('Get hexadecimal from entry', () => {
     const entryHex = entry.toHexadecimal();
     expect(entryHex).to.be.equal('0x0000000000000000000000000000000000000000000000000000000000000000'
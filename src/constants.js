@@ -1,12 +1,14 @@
 const utils = require('./utils');
 
 const DBPREFIX = 'i3db-';
+const NSPREFIX = 'i3ns-';
 const KCPREFIX = 'i3kc-';
 const IDPREFIX = 'id-';
 const KEYPREFIX = 'keys-';
 const IDRECOVERYPREFIX = 'idRecovery-';
 const CLAIMPREFIX = 'claim-';
 const MTPREFIX = 'i3mt-';
+const ENCPREFIX = 'i3enc-';
 
 const NAMESPACEHASH = utils.hashBytes(Buffer.from('iden3.io'));
 const CLAIMS = {
@@ -38,8 +40,10 @@ module.exports = {
   KEYPREFIX,
   CLAIMPREFIX,
   DBPREFIX,
+  NSPREFIX,
   KCPREFIX,
   MTPREFIX,
+  ENCPREFIX,
   NAMESPACEHASH,
   CLAIMS,
 };
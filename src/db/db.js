@@ -1,12 +1,158 @@
 const kcUtils = require('../key-container/kc-utils');
 const CONSTANTS = require('../constants');
+const utils = require('../utils');
+const { version } = require('../../package.json');
+const LocalStorageBackend = require('./local-storage-backend');
+const writeBatch = require('./write-batch');
+
+const exportFormatVersion = 1;
+const conflictPolicies = ['skip', 'overwrite', 'fail'];
+// Key of a merkle tree entry after the prefix of the tree: node hash, root or hasher of the root
+const treeKeyRegExp = /^(0x[0-9a-f]{64}|root|hasher)$/;
+
+/**
+ * Hash of the exported entries, sorted by key so it does not depend on the backend order
+ * @param {Object} entries - Exported entries as { key: value }
+ * @returns {String} - Hash in hexadecimal
+ */
+function hashEntries(entries) {
+  const sorted = Object.keys(entries).sort().map(key => [key, entries[key]]);
+  return utils.bytesToHex(utils.hashBytes(Buffer.from(JSON.stringify(sorted))));
+}
 
 /**
- * @param  {String} url - url of the backup system backend
+ * Get a function telling whether a key of the database belongs to an identity
+ * Keys of an identity are:
+ * IDPREFIX + KEYPREFIX + idAddr - Keys saved for the identity
+ * KCPREFIX + key - Key container entry of each key saved for the identity
+ * MTPREFIX + idAddr + node hash, root or hasher - Nodes of its merkle trees, root and hasher of its sparse merkle tree
+ * @param {Object} db - Database
+ * @param {String} idAddr - Address of the identity
+ * @returns {Function} - Called with a key, returns true if it belongs to the identity
+ */
+function identityFilter(db, idAddr) {
+  const idKeysKey = CONSTANTS.IDPREFIX + CONSTANTS.KEYPREFIX + idAddr;
+  const idKeys = db.get(idKeysKey);
+  const kcKeys = (idKeys === null) ? []
+    : Object.values(JSON.parse(idKeys).keys).map(key => CONSTANTS.KCPREFIX + key);
+  const treePrefix = CONSTANTS.MTPREFIX + idAddr;
+  return key => key === idKeysKey || kcKeys.includes(key)
+    || (key.startsWith(treePrefix) && treeKeyRegExp.test(key.slice(treePrefix.length)));
+}
+
+/**
+ * Set of writes into the database applied at once
+ * Writes are kept in memory until commit, and reads through the batch see them
+ */
+class Batch {
+  /**
+   * @param {Object} db - Database where the batch is committed
+   */
+  constructor(db) {
+    this.db = db;
+    this.ops = new Map();
+  }
+
+  /**
+   * @param  {String} key
+   * @param  {String} value
+   */
+  put(key, value) {
+    this.ops.set(key, value);
+  }
+
+  /**
+   * Same as put, so a batch can be used wherever a database is written
+   * @param  {String} key
+   * @param  {String} value
+   */
+  insert(key, value) {
+    this.put(key, value);
+  }
+
+  /**
+   * @param  {String} key
+   */
+  delete(key) {
+    this.ops.set(key, null);
+  }
+
+  /**
+   * @param  {String} key
+   * @returns {String} - Value written on the batch, or stored on the database if not written
+   */
+  get(key) {
+    return this.ops.has(key) ? this.ops.get(key) : this.db.get(key);
+  }
+
+  /**
+   * Get all keys that start with the given prefix, as if the batch was already committed
+   * @param {String} prefix - Added to internal database prefix
+   * @returns {Array} Contains all the keys found
+   */
+  listKeys(prefix) {
+    const keyList = this.db.listKeys(prefix).filter(key => !this.ops.has(key));
+    this.ops.forEach((value, key) => {
+      if (value !== null && key.startsWith(prefix)) {
+        keyList.push(key);
+      }
+    });
+    return keyList;
+  }
+
+  /**
+   * Get the operations written on the batch and not committed yet, the last one for each key
+   * @returns {Array} - Operations as { type: 'put', key, value } or { type: 'del', key }
+   */
+  pendingOps() {
+    const ops = [];
+    this.ops.forEach((value, key) => {
+      ops.push((value === null) ? { type: 'del', key } : { type: 'put', key, value });
+    });
+    return ops;
+  }
+
+  /**
+   * Write all the operations into the database
+   * If the commit fails, the database is left untouched and the operations are kept on the batch
+   */
+  commit() {
+    writeBatch(this.db.backend, this.pendingOps().map(op => Object.assign({}, op, { key: this.db.prefix + op.key })));
+    this.ops.clear();
+  }
+
+  /**
+   * Discard all the operations not committed
+   */
+  rollback() {
+    this.ops.clear();
+  }
+}
+
+/**
+ * Database storing string values under string keys
+ * Entries are kept on a storage backend, which is an object as follows:
+ * {Function} get(key) - Returns the value stored, null if not found
+ * {Function} put(key, value) - Stores a value
+ * {Function} delete(key) - Removes an entry
+ * {Function} iterate(callback) - Calls callback(key, value) for every entry stored
+ * {Function} batch(ops) - Optional, writes a set of operations atomically
+ * Databases with a namespace only see their own keys, so several identities or apps can share a backend
+ * Database without namespace is the default one, it does not see the keys of the namespaces either
  */
 class Db {
-  constructor() {
-    this.prefix = CONSTANTS.DBPREFIX;
+  /**
+   * @param {Object} backend - Storage backend, localStorage by default
+   * @param {String} namespace - Namespace where the keys are stored, none by default
+   */
+  constructor(backend = new LocalStorageBackend(), namespace = '') {
+    if (namespace.indexOf('/') !== -1) {
+      throw new Error('Namespace can not contain /');
+    }
+    // Namespaces have their own prefix, so the keys of the default one do not start with theirs
+    this.prefix = namespace ? `${CONSTANTS.NSPREFIX}${namespace}/` : CONSTANTS.DBPREFIX;
+    this.namespace = namespace;
+    this.backend = backend;
   }
 
   /**
@@ -14,7 +160,7 @@ class Db {
    * @param  {String} value
    */
   insert(key, value) {
-    localStorage.setItem(this.prefix + key, value);
+    this.backend.put(this.prefix + key, value);
   }
 
   /**
@@ -22,40 +168,90 @@ class Db {
    * @returns {String}
    */
   get(key) {
-    return localStorage.getItem(this.prefix + key);
+    return this.backend.get(this.prefix + key);
   }
 
   /**
    * @param  {String} key
    */
   delete(key) {
-    localStorage.removeItem(this.prefix + key);
+    this.backend.delete(this.prefix + key);
   }
 
-  deleteAll() {
-    localStorage.clear();
+  /**
+   * Start a batch of writes, nothing is written until it is committed
+   * @returns {Object} - Batch object
+   */
+  batch() {
+    return new Batch(this);
   }
 
   /**
-   * Get all keys of the localStorage that match the given prefix
+   * Go through all the entries which key starts with the given prefix
+   * @param {String} prefix - Added to internal database prefix
+   * @param {Function} callback - Function called with the key, without internal database prefix, and the value of every entry
+   */
+  iterate(prefix, callback) {
+    const fullPrefix = this.prefix + prefix;
+    this.backend.iterate((key, value) => {
+      if (key.startsWith(fullPrefix)) {
+        callback(key.slice(this.prefix.length), value);
+      }
+    });
+  }
+
+  /**
+   * Get all keys of the database that start with the given prefix
    * @param {String} prefix - Added to internal database prefix
    * @returns {Array} Contains all the keys found
    */
   listKeys(prefix) {
     const keyList = [];
-    const localStorageLength = localStorage.length;
-    for (let i = 0, len = localStorageLength; i < len; i++) {
-      // get only the stored data related to identities (that have the prefix)
-      if (localStorage.key(i).indexOf(this.prefix + prefix) !== -1) {
-        const key = localStorage.key(i);
-        keyList.push(key.replace(this.prefix, ''));
-      }
-    }
+    this.iterate(prefix, key => keyList.push(key));
     return keyList;
   }
 
   /**
-   * Gets all the localStorage data related with the iden3js library, and packs it into an encrpyted string.
+   * Remove all the keys of the namespace, leaving the rest of the data stored on the backend untouched
+   * @returns {Number} - Number of keys removed
+   */
+  clearNamespace() {
+    const batch = this.batch();
+    const keyList = this.listKeys('');
+    keyList.forEach(key => batch.delete(key));
+    batch.commit();
+    return keyList.length;
+  }
+
+  /**
+   * Same as clearNamespace
+   */
+  deleteAll() {
+    this.clearNamespace();
+  }
+
+  /**
+   * Get the number of keys and the bytes taken by their keys and values, in total and for each prefix given
+   * @param {Array(String)} prefixes - Prefixes to report, the ones used by the library by default
+   * @returns {Object} - Stats as { keys, bytes, prefixes: { prefix: { keys, bytes } } }
+   */
+  stats(prefixes = [CONSTANTS.KCPREFIX, CONSTANTS.MTPREFIX, CONSTANTS.IDPREFIX]) {
+    const result = { keys: 0, bytes: 0, prefixes: {} };
+    prefixes.forEach((prefix) => { result.prefixes[prefix] = { keys: 0, bytes: 0 }; });
+    this.iterate('', (key, value) => {
+      const bytes = Buffer.byteLength(this.prefix + key) + Buffer.byteLength(value);
+      result.keys += 1;
+      result.bytes += bytes;
+      prefixes.filter(prefix => key.startsWith(prefix)).forEach((prefix) => {
+        result.prefixes[prefix].keys += 1;
+        result.prefixes[prefix].bytes += bytes;
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Gets all the database data related with the iden3js library, and packs it into an encrpyted string.
    *
    * @param  {Object} kc - KeyContainer
    * @returns {Object} - encrypted packed data
@@ -68,18 +264,105 @@ class Db {
     }
     const dbExp = {};
 
-    for (let i = 0; i < localStorage.length; i++) {
-      // get only the stored data related to db (that have the prefix)
-      if (localStorage.key(i).indexOf(this.prefix) !== -1) {
-        dbExp[localStorage.key(i)] = localStorage.getItem(localStorage.key(i));
-      }
-    }
+    // get only the stored data related to db (that have the prefix)
+    this.iterate('', (key, value) => {
+      dbExp[this.prefix + key] = value;
+    });
     const dbExpStr = JSON.stringify(dbExp);
     return kcUtils.encrypt(kc.encryptionKey, dbExpStr); // encrypted database
   }
 
   /**
-   * Decrypts the encrypted packed data by the exportLocalStorage function, and saves it into localStorage.
+   * Exports the database data into a versioned container, with the entries encrypted
+   * Container is as follows:
+   * {Object} header - { format, version, timestamp, numKeys, hash } where hash is computed over the entries
+   * {String} data - Entries encrypted with the key container, keys do not include the database prefix
+   * Entries can be filtered by prefix, e.g. CONSTANTS.KCPREFIX for the keys or CONSTANTS.MTPREFIX for the trees,
+   * and by identity address, so just the entries of the identity are exported: its saved keys record,
+   * the key container entries of those keys and the nodes of its merkle trees
+   * @param {Object} kc - KeyContainer, must be unlocked
+   * @param {Object} options - Prefixes of the keys exported, all keys by default, and identity address
+   * @returns {String} - Export container serialized as JSON
+   */
+  exportDb(kc, { prefixes = [''], idAddr = undefined } = {}) {
+    if (!kc.encryptionKey) {
+      throw new Error('KeyContainer not unlocked');
+    }
+    const entries = {};
+    const belongsToIdentity = (idAddr === undefined) ? () => true : identityFilter(this, idAddr);
+    prefixes.forEach((prefix) => {
+      this.iterate(prefix, (key, value) => {
+        if (belongsToIdentity(key)) {
+          entries[key] = value;
+        }
+      });
+    });
+    const header = {
+      format: exportFormatVersion,
+      version,
+      timestamp: Math.round((new Date()).getTime() / 1000),
+      numKeys: Object.keys(entries).length,
+      hash: hashEntries(entries),
+    };
+    return JSON.stringify({ header, data: kcUtils.encrypt(kc.encryptionKey, JSON.stringify(entries)) });
+  }
+
+  /**
+   * Imports the data exported by exportDb, checking its integrity
+   * A conflict is an imported key already stored with a different value, resolved as follows:
+   * skip - keep the value stored
+   * overwrite - store the imported value
+   * fail - throw without importing anything
+   * Data is written at once, and nothing is written on a dry run
+   * @param {Object} kc - KeyContainer, must be unlocked
+   * @param {String} exported - Export container serialized as JSON
+   * @param {Object} options - Dry run, false by default, and conflict policy, skip by default
+   * @returns {Object} - Keys imported as { added, overwritten, skipped, unchanged }
+   */
+  importDb(kc, exported, { dryRun = false, onConflict = 'skip' } = {}) {
+    if (!kc.encryptionKey) {
+      throw new Error('KeyContainer not unlocked');
+    }
+    if (!conflictPolicies.includes(onConflict)) {
+      throw new Error(`Unknown conflict policy: ${onConflict}`);
+    }
+    const { header, data } = JSON.parse(exported);
+    if (header.format !== exportFormatVersion) {
+      throw new Error(`Unsupported export format: ${header.format}`);
+    }
+    const entries = JSON.parse(kcUtils.decrypt(kc.encryptionKey, data));
+    if (Object.keys(entries).length !== header.numKeys || hashEntries(entries) !== header.hash) {
+      throw new Error('Export integrity check failed');
+    }
+
+    const result = {
+      added: [], overwritten: [], skipped: [], unchanged: [],
+    };
+    Object.keys(entries).forEach((key) => {
+      const value = this.get(key);
+      if (value === null) {
+        result.added.push(key);
+      } else if (value === entries[key]) {
+        result.unchanged.push(key);
+      } else if (onConflict === 'overwrite') {
+        result.overwritten.push(key);
+      } else {
+        result.skipped.push(key);
+      }
+    });
+    if (onConflict === 'fail' && result.skipped.length > 0) {
+      throw new Error(`Import conflicts on ${result.skipped.length} keys`);
+    }
+    if (!dryRun) {
+      const batch = this.batch();
+      result.added.concat(result.overwritten).forEach(key => batch.put(key, entries[key]));
+      batch.commit();
+    }
+    return result;
+  }
+
+  /**
+   * Decrypts the encrypted packed data by the exportLocalStorage function, and saves it into the database.
    *
    * @param  {Object} kc - KeyContainer
    * @param  {String} encryptedDB
@@ -89,7 +372,7 @@ class Db {
     const dbExp = JSON.parse(dbExpStr);
 
     Object.keys(dbExp).forEach((key) => {
-      localStorage.setItem(key, dbExp[key]);
+      this.backend.put(key, dbExp[key]);
     });
   }
 }
@@ -0,0 +1,577 @@
+const chai = require('chai');
+const fs = require('fs');
+const snarkjs = require('snarkjs');
+const iden3 = require('../index');
+const CONSTANTS = require('../constants');
+const packageJson = require('../../package.json');
+const FileBackend = require('./file-backend');
+const IndexedDbBackend = require('./indexed-db-backend');
+const MemoryBackend = require('./memory-backend');
+
+const { bigInt } = snarkjs;
+const { expect } = chai;
+
+const testPrivKHex = '5ca155481bafd651f6297f525781430e737c3e64a7f854af5870897fa307ae65';
+const idAddr = '0xq5soghj264eax651ghq1651485ccaxas98461251d5f1sdf6c51c5d1c6sd1c651-backend-';
+
+/**
+ * Memory backend with room for a given number of entries, as a storage running out of quota
+ */
+class QuotaBackend extends MemoryBackend {
+  constructor(maxEntries) {
+    super();
+    this.maxEntries = maxEntries;
+  }
+
+  put(key, value) {
+    if (!this.entries.has(key) && this.entries.size >= this.maxEntries) {
+      throw new Error('Quota exceeded');
+    }
+    super.put(key, value);
+  }
+}
+
+/**
+ * Minimal in-memory IDBFactory, calling the request handlers asynchronously as the browsers do
+ */
+function fakeIndexedDb() {
+  const stores = {};
+  // failWrites makes write transactions fail, throwWrites makes them throw on 'transaction' or 'put'
+  const factory = { stores, failWrites: false, throwWrites: undefined };
+  const later = fn => setTimeout(fn, 0);
+  const transaction = (storeName, mode) => {
+    const write = mode === 'readwrite';
+    if (write && factory.throwWrites === 'transaction') {
+      throw new Error('Database closed');
+    }
+    const fail = write && factory.failWrites;
+    let aborted = false;
+    // Writes are applied when the transaction completes
+    const writes = [];
+    const tx = {
+      abort: () => { aborted = true; },
+      objectStore: () => ({
+        put: (value, key) => {
+          if (write && factory.throwWrites === 'put') {
+            throw new Error('Invalid value');
+          }
+          writes.push(() => stores[storeName].set(key, value));
+        },
+        delete: key => writes.push(() => stores[storeName].delete(key)),
+        openCursor: () => {
+          const request = {};
+          const keys = Array.from(stores[storeName].keys());
+          const next = (i) => {
+            request.result = i < keys.length
+              ? { key: keys[i], value: stores[storeName].get(keys[i]), continue: () => later(() => next(i + 1)) }
+              : null;
+            request.onsuccess();
+          };
+          later(() => next(0));
+          return request;
+        },
+      }),
+    };
+    later(() => {
+      if (aborted) {
+        return;
+      }
+      if (fail) {
+        tx.error = new Error('Transaction failed');
+        tx.onerror();
+        return;
+      }
+      writes.forEach(apply => apply());
+      if (tx.oncomplete) {
+        tx.oncomplete();
+      }
+    });
+    return tx;
+  };
+  return Object.assign(factory, {
+    open: () => {
+      const request = {};
+      later(() => {
+        request.result = {
+          transaction,
+          createObjectStore: (storeName) => { stores[storeName] = new Map(); },
+        };
+        if (Object.keys(stores).length === 0) {
+          request.onupgradeneeded();
+        }
+        request.onsuccess();
+      });
+      return request;
+    },
+  });
+}
+
+describe('[db] Memory backend', () => {
+  let db;
+  before('Create database', () => {
+    db = new iden3.Db(new MemoryBackend());
+  });
+
+  it('insert, get and delete', () => {
+    db.insert('key', 'value');
+    expect(db.get('key')).to.be.equal('value');
+    db.delete('key');
+    expect(db.get('key')).to.be.equal(null);
+  });
+
+  it('list keys and delete all', () => {
+    db.insert('list-0', 'value');
+    db.insert('list-1', 'value');
+    db.insert('other', 'value');
+    expect(db.listKeys('list-')).to.be.deep.equal(['list-0', 'list-1']);
+    db.deleteAll();
+    expect(db.listKeys('')).to.be.deep.equal([]);
+  });
+
+  it('export and import', () => {
+    const kc = new iden3.KeyContainer('localStorage', db);
+    kc.unlock('pass');
+    db.insert('this is the key', 'this is the value');
+    const dbExported = db.exportLocalStorage(kc);
+    const db2 = new iden3.Db(new MemoryBackend());
+    db2.importLocalStorage(kc, dbExported);
+    expect(db2.get('this is the key')).to.be.equal('this is the value');
+    kc.lock();
+  });
+});
+
+describe('[db] Namespaces', () => {
+  let backend;
+  let dbApp0;
+  let dbApp1;
+  before('Create databases sharing the backend', () => {
+    backend = new MemoryBackend();
+    backend.put('unrelated app key', 'value');
+    dbApp0 = new iden3.Db(backend, 'app0');
+    dbApp1 = new iden3.Db(backend, 'app1');
+    dbApp0.insert('key-0', 'value-0');
+    dbApp0.insert('other-key-0', 'value-0');
+    dbApp1.insert('key-0', 'value-1');
+  });
+
+  it('keys of other namespaces are not visible', () => {
+    expect(dbApp0.get('key-0')).to.be.equal('value-0');
+    expect(dbApp1.get('key-0')).to.be.equal('value-1');
+    expect(dbApp1.listKeys('')).to.be.deep.equal(['key-0']);
+    const dbDefault = new iden3.Db(backend);
+    dbDefault.insert('key-0', 'value-default');
+    expect(dbDefault.listKeys('')).to.be.deep.equal(['key-0']);
+    expect(dbApp0.get('key-0')).to.be.equal('value-0');
+    expect(dbDefault.stats().keys).to.be.equal(1);
+    expect(dbDefault.clearNamespace()).to.be.equal(1);
+    expect(dbApp1.listKeys('')).to.be.deep.equal(['key-0']);
+  });
+
+  it('keys are listed by exact prefix', () => {
+    expect(dbApp0.listKeys('key-')).to.be.deep.equal(['key-0']);
+    const entries = [];
+    dbApp0.iterate('other-', (key, value) => entries.push([key, value]));
+    expect(entries).to.be.deep.equal([['other-key-0', 'value-0']]);
+  });
+
+  it('stats', () => {
+    const stats = dbApp0.stats(['key-', 'other-']);
+    const bytes = Buffer.byteLength('i3ns-app0/key-0value-0');
+    expect(stats.keys).to.be.equal(2);
+    expect(stats.bytes).to.be.equal(bytes + Buffer.byteLength('i3ns-app0/other-key-0value-0'));
+    expect(stats.prefixes['key-']).to.be.deep.equal({ keys: 1, bytes });
+    expect(dbApp1.stats().prefixes[CONSTANTS.MTPREFIX]).to.be.deep.equal({ keys: 0, bytes: 0 });
+  });
+
+  it('clear namespace', () => {
+    expect(dbApp0.clearNamespace()).to.be.equal(2);
+    expect(dbApp0.listKeys('')).to.be.deep.equal([]);
+    expect(dbApp1.get('key-0')).to.be.equal('value-1');
+    dbApp1.deleteAll();
+    expect(dbApp1.get('key-0')).to.be.equal(null);
+    expect(backend.get('unrelated app key')).to.be.equal('value');
+  });
+
+  it('invalid namespace', () => {
+    expect(() => new iden3.Db(backend, 'app/0')).to.throw('Namespace can not contain /');
+  });
+});
+
+describe('[db] Versioned export and import', () => {
+  // Address of another identity which starts with the address of the first one
+  const idAddrOther = `${idAddr}0`;
+  let kc;
+  let db;
+  before('Fill database', () => {
+    db = new iden3.Db(new MemoryBackend());
+    kc = new iden3.KeyContainer('localStorage', db);
+    kc.unlock('pass');
+    [[idAddr, kc.importKey(testPrivKHex)], [idAddrOther, kc.generateKeyRand()]].forEach(([addr, key], i) => {
+      const smt = new iden3.sparseMerkleTree.SparseMerkleTree(db, addr);
+      smt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+      const mt = new iden3.merkleTree.MerkleTree(db, 140, addr);
+      mt.addClaim({ data: Buffer.from(`this is a test claim ${i}`), indexLength: 15 });
+      const id = new iden3.Id(key, key, key, 'relay test', 'relay address', '', undefined, 0, db);
+      id.idAddr = addr;
+      id.saveKeys();
+    });
+  });
+
+  after('Lock key container', () => {
+    kc.lock();
+  });
+
+  it('export all and import into an empty database', () => {
+    const exported = db.exportDb(kc);
+    const { header } = JSON.parse(exported);
+    expect(header.format).to.be.equal(1);
+    expect(header.version).to.be.equal(packageJson.version);
+    expect(header.numKeys).to.be.equal(db.listKeys('').length);
+    expect(exported).to.not.include(idAddr);
+
+    const db2 = new iden3.Db(new MemoryBackend(), 'restored');
+    const result = db2.importDb(kc, exported);
+    expect(result.added.sort()).to.be.deep.equal(db.listKeys('').sort());
+    db.iterate('', (key, value) => expect(db2.get(key)).to.be.equal(value));
+    expect(new iden3.sparseMerkleTree.SparseMerkleTree(db2, idAddr).root).to.be.deep.equal(
+      new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr).root,
+    );
+  });
+
+  it('filters by prefix and identity', () => {
+    const keysOnly = new iden3.Db(new MemoryBackend());
+    keysOnly.importDb(kc, db.exportDb(kc, { prefixes: [CONSTANTS.KCPREFIX] }));
+    expect(keysOnly.listKeys('').sort()).to.be.deep.equal(db.listKeys(CONSTANTS.KCPREFIX).sort());
+    const identityTrees = new iden3.Db(new MemoryBackend());
+    identityTrees.importDb(kc, db.exportDb(kc, { prefixes: [CONSTANTS.MTPREFIX], idAddr }));
+    expect(identityTrees.listKeys('').every(key => key.startsWith(CONSTANTS.MTPREFIX))).to.be.equal(true);
+    expect(identityTrees.get(`${CONSTANTS.MTPREFIX}${idAddr}root`)).to.be.equal(db.get(`${CONSTANTS.MTPREFIX}${idAddr}root`));
+  });
+
+  it('identity export contains its trees and keys only', () => {
+    [[idAddr, idAddrOther], [idAddrOther, idAddr]].forEach(([addr, other]) => {
+      const identity = new iden3.Db(new MemoryBackend());
+      identity.importDb(kc, db.exportDb(kc, { idAddr: addr }));
+      const { keys } = JSON.parse(identity.get(`${CONSTANTS.IDPREFIX}${CONSTANTS.KEYPREFIX}${addr}`));
+      expect(identity.get(`${CONSTANTS.IDPREFIX}${CONSTANTS.KEYPREFIX}${other}`)).to.be.equal(null);
+      expect(identity.listKeys(CONSTANTS.KCPREFIX)).to.be.deep.equal([`${CONSTANTS.KCPREFIX}${keys.recover}`]);
+      expect(new iden3.sparseMerkleTree.SparseMerkleTree(identity, addr).root).to.be.deep.equal(
+        new iden3.sparseMerkleTree.SparseMerkleTree(db, addr).root,
+      );
+      expect(new iden3.sparseMerkleTree.SparseMerkleTree(identity, other).root).to.be.deep.equal(
+        iden3.sparseMerkleTree.emptyNodeValue,
+      );
+      const legacyNodes = `${CONSTANTS.MTPREFIX}${addr}0x`;
+      expect(identity.listKeys(legacyNodes)).to.have.lengthOf(db.listKeys(legacyNodes).length);
+      expect(identity.listKeys(`${CONSTANTS.MTPREFIX}${other}0x`)).to.be.deep.equal([]);
+    });
+  });
+
+  it('dry run and conflict policies', () => {
+    const key = `${CONSTANTS.IDPREFIX}${CONSTANTS.KEYPREFIX}${idAddr}`;
+    const keyOther = `${CONSTANTS.IDPREFIX}${CONSTANTS.KEYPREFIX}${idAddrOther}`;
+    const exported = db.exportDb(kc, { prefixes: [CONSTANTS.IDPREFIX] });
+    const db2 = new iden3.Db(new MemoryBackend());
+    db2.insert(key, 'modified identity keys');
+    db2.insert(keyOther, db.get(keyOther));
+
+    const dryRun = db2.importDb(kc, exported, { dryRun: true, onConflict: 'overwrite' });
+    expect(dryRun.overwritten).to.be.deep.equal([key]);
+    expect(dryRun.unchanged).to.have.lengthOf(1);
+    expect(db2.get(key)).to.be.equal('modified identity keys');
+
+    expect(() => db2.importDb(kc, exported, { onConflict: 'fail' })).to.throw('Import conflicts on 1 keys');
+    expect(db2.importDb(kc, exported).skipped).to.be.deep.equal([key]);
+    expect(db2.get(key)).to.be.equal('modified identity keys');
+    db2.importDb(kc, exported, { onConflict: 'overwrite' });
+    expect(db2.get(key)).to.be.equal(db.get(key));
+    expect(() => db2.importDb(kc, exported, { onConflict: 'merge' })).to.throw('Unknown conflict policy: merge');
+  });
+
+  it('integrity check', () => {
+    const container = JSON.parse(db.exportDb(kc));
+    const other = JSON.parse(db.exportDb(kc, { prefixes: [CONSTANTS.KCPREFIX] }));
+    const db2 = new iden3.Db(new MemoryBackend());
+    const tampered = JSON.stringify({ header: container.header, data: other.data });
+    expect(() => db2.importDb(kc, tampered)).to.throw('Export integrity check failed');
+    const newFormat = JSON.stringify({ header: Object.assign({}, container.header, { format: 2 }), data: container.data });
+    expect(() => db2.importDb(kc, newFormat)).to.throw('Unsupported export format: 2');
+    expect(db2.listKeys('')).to.be.deep.equal([]);
+  });
+
+  it('locked key container', () => {
+    const kcLocked = new iden3.KeyContainer('localStorage', db);
+    expect(() => db.exportDb(kcLocked)).to.throw('KeyContainer not unlocked');
+  });
+});
+
+describe('[db] Batches', () => {
+  it('writes are visible through the batch until commit', () => {
+    const db = new iden3.Db(new MemoryBackend());
+    db.insert('key-0', 'value-0');
+    const batch = db.batch();
+    batch.put('key-1', 'value-1');
+    batch.delete('key-0');
+    expect(batch.get('key-1')).to.be.equal('value-1');
+    expect(batch.get('key-0')).to.be.equal(null);
+    expect(db.get('key-1')).to.be.equal(null);
+    expect(db.get('key-0')).to.be.equal('value-0');
+    expect(batch.pendingOps()).to.be.deep.equal([
+      { type: 'put', key: 'key-1', value: 'value-1' },
+      { type: 'del', key: 'key-0' },
+    ]);
+    batch.commit();
+    expect(batch.pendingOps()).to.be.deep.equal([]);
+    expect(db.get('key-1')).to.be.equal('value-1');
+    expect(db.get('key-0')).to.be.equal(null);
+  });
+
+  it('rollback', () => {
+    const db = new iden3.Db(new MemoryBackend());
+    const batch = db.batch();
+    batch.put('key-0', 'value-0');
+    batch.rollback();
+    batch.commit();
+    expect(db.get('key-0')).to.be.equal(null);
+  });
+
+  it('failed commit leaves the database untouched', () => {
+    const db = new iden3.Db(new QuotaBackend(2));
+    db.insert('key-0', 'value-0');
+    const batch = db.batch();
+    batch.put('key-0', 'value-0-updated');
+    batch.delete('key-0');
+    batch.put('key-1', 'value-1');
+    batch.put('key-2', 'value-2');
+    batch.put('key-3', 'value-3');
+    expect(() => batch.commit()).to.throw('Quota exceeded');
+    expect(db.get('key-0')).to.be.equal('value-0');
+    expect(db.listKeys('key-')).to.be.deep.equal(['key-0']);
+  });
+});
+
+describe('[db] File backend', () => {
+  const filePath = './tmp/file-backend.log';
+  before('Remove log file', () => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('entries are kept when the file is opened again', () => {
+    const db = new iden3.Db(new FileBackend(filePath));
+    db.insert('key-0', 'value-0');
+    db.insert('key-1', 'value-1');
+    db.insert('key-0', 'value-0-updated');
+    db.delete('key-1');
+    const db2 = new iden3.Db(new FileBackend(filePath));
+    expect(db2.get('key-0')).to.be.equal('value-0-updated');
+    expect(db2.get('key-1')).to.be.equal(null);
+  });
+
+  it('last line not completely written is skipped', () => {
+    fs.appendFileSync(filePath, '["put","i3db-key-2","val');
+    const db = new iden3.Db(new FileBackend(filePath));
+    expect(db.get('key-0')).to.be.equal('value-0-updated');
+    expect(db.get('key-2')).to.be.equal(null);
+    // Writes after the partial line are read when the file is opened again
+    db.insert('key-2', 'value-2');
+    expect(new iden3.Db(new FileBackend(filePath)).get('key-2')).to.be.equal('value-2');
+    db.delete('key-2');
+  });
+
+  it('last line written without newline is skipped', () => {
+    fs.appendFileSync(filePath, '["put","i3db-key-2","value-2"]');
+    const db = new iden3.Db(new FileBackend(filePath));
+    expect(db.get('key-2')).to.be.equal(null);
+    db.insert('key-6', 'value-6');
+    const db2 = new iden3.Db(new FileBackend(filePath));
+    expect(db2.get('key-2')).to.be.equal(null);
+    expect(db2.get('key-6')).to.be.equal('value-6');
+    db.delete('key-6');
+  });
+
+  it('corrupted line in the middle of the file', () => {
+    const corruptedPath = './tmp/file-backend-corrupted.log';
+    fs.writeFileSync(corruptedPath, '["put","i3db-key-0","value-0"]\n["put","i3db-key-1\n["del","i3db-key-0"]\n');
+    expect(() => new FileBackend(corruptedPath)).to.throw('Corrupted log file on line 2');
+    fs.unlinkSync(corruptedPath);
+  });
+
+  it('batch partially written is skipped', () => {
+    const backend = new FileBackend(filePath);
+    const db = new iden3.Db(backend);
+    const batch = db.batch();
+    batch.put('key-3', 'value-3');
+    batch.put('key-4', 'value-4');
+    batch.commit();
+    expect(new FileBackend(filePath).get('i3db-key-4')).to.be.equal('value-4');
+    fs.appendFileSync(filePath, '["batch",[["put","i3db-key-5","value-5"],["put","i3db-key');
+    const db2 = new iden3.Db(new FileBackend(filePath));
+    expect(db2.get('key-3')).to.be.equal('value-3');
+    expect(db2.get('key-5')).to.be.equal(null);
+    backend.delete('i3db-key-3');
+    backend.delete('i3db-key-4');
+  });
+
+  it('directories of the file are created', () => {
+    const nestedPath = './tmp/file-backend/nested/iden3.log';
+    const db = new iden3.Db(new FileBackend(nestedPath));
+    db.insert('key-0', 'value-0');
+    expect(new iden3.Db(new FileBackend(nestedPath)).get('key-0')).to.be.equal('value-0');
+  });
+
+  it('compact', () => {
+    const backend = new FileBackend(filePath);
+    const sizeBefore = fs.statSync(filePath).size;
+    backend.compact();
+    expect(fs.statSync(filePath).size).to.be.below(sizeBefore);
+    const db = new iden3.Db(new FileBackend(filePath));
+    expect(db.listKeys('key-')).to.be.deep.equal(['key-0']);
+  });
+});
+
+describe('[db] IndexedDB backend', () => {
+  it('entries are kept when the database is opened again', async () => {
+    const factory = fakeIndexedDb();
+    const backend = await IndexedDbBackend.open('iden3', 'iden3', factory);
+    const db = new iden3.Db(backend);
+    db.insert('key-0', 'value-0');
+    db.insert('key-1', 'value-1');
+    db.delete('key-1');
+    const batch = db.batch();
+    batch.put('key-2', 'value-2');
+    batch.commit();
+    expect(db.get('key-0')).to.be.equal('value-0');
+    await backend.flush();
+    expect(backend.pending.length).to.be.equal(0);
+    const db2 = new iden3.Db(await IndexedDbBackend.open('iden3', 'iden3', factory));
+    expect(db2.get('key-0')).to.be.equal('value-0');
+    expect(db2.get('key-1')).to.be.equal(null);
+    expect(db2.get('key-2')).to.be.equal('value-2');
+  });
+
+  it('failed writes are restored on memory and reported by flush', async () => {
+    const factory = fakeIndexedDb();
+    const backend = await IndexedDbBackend.open('iden3', 'iden3', factory);
+    const db = new iden3.Db(backend);
+    db.insert('key-0', 'value-0');
+    db.insert('key-1', 'value-1');
+    await backend.flush();
+    factory.failWrites = true;
+    db.insert('key-0', 'value-0b');
+    db.delete('key-1');
+    db.insert('key-2', 'value-2');
+    expect(db.get('key-0')).to.be.equal('value-0b');
+    let error;
+    await backend.flush().catch((err) => { error = err; });
+    expect(error.message).to.be.equal('Transaction failed');
+    expect(db.get('key-0')).to.be.equal('value-0');
+    expect(db.get('key-1')).to.be.equal('value-1');
+    expect(db.get('key-2')).to.be.equal(null);
+    factory.failWrites = false;
+    await backend.flush();
+  });
+
+  it('batch which requests throw leaves memory untouched', async () => {
+    const factory = fakeIndexedDb();
+    const backend = await IndexedDbBackend.open('iden3', 'iden3', factory);
+    const db = new iden3.Db(backend);
+    db.insert('a', 'value-a');
+    await backend.flush();
+    ['transaction', 'put'].forEach((throwWrites) => {
+      factory.throwWrites = throwWrites;
+      const batch = db.batch();
+      batch.delete('a');
+      batch.put('b', 'value-b');
+      expect(() => batch.commit()).to.throw();
+      expect(db.get('a')).to.be.equal('value-a');
+      expect(db.get('b')).to.be.equal(null);
+    });
+    factory.throwWrites = undefined;
+    await backend.flush();
+    expect(factory.stores.iden3.get('i3db-a')).to.be.equal('value-a');
+  });
+
+  it('failed batch is rolled back on memory', async () => {
+    const factory = fakeIndexedDb();
+    const backend = await IndexedDbBackend.open('iden3', 'iden3', factory);
+    const db = new iden3.Db(backend);
+    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(1)]);
+    await backend.flush();
+    const entries = new Map(backend.entries);
+    factory.failWrites = true;
+    mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(2)]);
+    let error;
+    await backend.flush().catch((err) => { error = err; });
+    expect(error.message).to.be.equal('Transaction failed');
+    expect(backend.entries).to.be.deep.equal(entries);
+    expect(factory.stores.iden3).to.be.deep.equal(entries);
+  });
+});
+
+describe('[db] Library running on a storage backend', () => {
+  it('merkle trees', () => {
+    const dbMemory = new iden3.Db(new MemoryBackend());
+    const dbLocalStorage = new iden3.Db();
+    const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(1)];
+    const smt = new iden3.sparseMerkleTree.SparseMerkleTree(dbMemory, idAddr);
+    smt.addClaim(claim);
+    const smtLocalStorage = new iden3.sparseMerkleTree.SparseMerkleTree(dbLocalStorage, idAddr);
+    smtLocalStorage.addClaim(claim);
+    expect(smt.root).to.be.deep.equal(smtLocalStorage.root);
+    expect(smt.getClaimByHi(claim.slice(2))).to.be.deep.equal(claim);
+
+    const leaf = { data: Buffer.from('this is a test claim'), indexLength: 15 };
+    const mt = new iden3.merkleTree.MerkleTree(dbMemory, 140, idAddr);
+    mt.addClaim(leaf);
+    expect(mt.getLeafByHi(iden3.utils.hashBytes(leaf.data.slice(0, leaf.indexLength)))).to.be.deep.equal(leaf);
+  });
+
+  it('key container and identity', () => {
+    const db = new iden3.Db(new MemoryBackend());
+    const kc = new iden3.KeyContainer('localStorage', db);
+    kc.unlock('pass');
+    const key0 = kc.importKey(testPrivKHex);
+    expect(kc.listKeys()).to.be.deep.equal([key0]);
+    expect(kc.sign(key0, 'test').signature).to.be.not.equal(undefined);
+    kc.lock();
+
+    const id = new iden3.Id(key0, key0, key0, 'relay test', 'relay address', '', undefined, 0, db);
+    id.idAddr = idAddr;
+    id.saveKeys();
+    expect(id.getKeys().operationalPub).to.be.equal(key0);
+    expect(db.listKeys('id-')).to.have.lengthOf(1);
+  });
+
+  it('sparse merkle tree writes are atomic', () => {
+    const backend = new QuotaBackend(Infinity);
+    const db = new iden3.Db(backend);
+    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const claims = [1, 2, 3].map(i => [bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    mt.addClaims(claims);
+    const { root } = mt;
+    const numEntries = backend.entries.size;
+    backend.maxEntries = numEntries;
+    expect(() => mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(4)])).to.throw('Quota exceeded');
+    expect(mt.root).to.be.deep.equal(root);
+    expect(backend.entries.size).to.be.equal(numEntries);
+    expect(new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr).root).to.be.deep.equal(root);
+    expect(() => mt.deleteClaim(claims[0].slice(2))).to.throw('Quota exceeded');
+    expect(mt.getClaimByHi(claims[0].slice(2))).to.be.deep.equal(claims[0]);
+    expect(backend.entries.size).to.be.equal(numEntries);
+  });
+
+  it('key container keys are stored all at once', () => {
+    const backend = new QuotaBackend(2);
+    const kc = new iden3.KeyContainer('localStorage', new iden3.Db(backend));
+    kc.unlock('pass');
+    expect(() => kc.generateKeysFromKeyPath()).to.throw('Quota exceeded');
+    expect(kc.listKeys()).to.be.deep.equal([]);
+    backend.maxEntries = Infinity;
+    const { keys } = kc.generateKeysFromKeyPath();
+    expect(kc.listKeys().sort()).to.be.deep.equal(keys.sort());
+    kc.lock();
+  });
+});
@@ -0,0 +1,111 @@
+const nacl = require('tweetnacl');
+const CONSTANTS = require('../constants');
+const utils = require('../utils');
+const kcUtils = require('../key-container/kc-utils');
+const writeBatch = require('./write-batch');
+
+nacl.util = require('tweetnacl-util');
+
+/**
+ * Get the encryption key of the key container
+ * Throws if the key container is locked
+ * @param {Object} kc - KeyContainer
+ * @returns {String} - Encryption key encoded in base64
+ */
+function getEncryptionKey(kc) {
+  if (!kc.encryptionKey) {
+    throw new Error('KeyContainer not unlocked');
+  }
+  return kc.encryptionKey;
+}
+
+/**
+ * Storage backend wrapper encrypting all the entries with the key of an unlocked KeyContainer
+ * Every entry is stored as { ENCPREFIX + key: encrypted([key, value]) }
+ * Keys can be hashed along with the encryption key, so they are not stored in plaintext either
+ * Encryption key is taken when the backend is built, so the key container only has to be unlocked then
+ * Entries which can not be decrypted throw an error, as when they are read
+ */
+class EncryptedBackend {
+  /**
+   * @param {Object} backend - Storage backend where encrypted entries are stored
+   * @param {Object} kc - KeyContainer providing the encryption key, it must be unlocked
+   * @param {Object} options - Hash the keys, false by default
+   */
+  constructor(backend, kc, { hashKeys = false } = {}) {
+    this.backend = backend;
+    this.encryptionKey = getEncryptionKey(kc);
+    this.hashKeys = hashKeys;
+  }
+
+  /**
+   * Get the key where an entry is stored on the wrapped backend
+   * @param {String} key
+   * @returns {String} - Key on the wrapped backend
+   */
+  storedKey(key) {
+    if (!this.hashKeys) {
+      return CONSTANTS.ENCPREFIX + key;
+    }
+    const encryptionKey = Buffer.from(nacl.util.decodeBase64(this.encryptionKey));
+    return CONSTANTS.ENCPREFIX + utils.bytesToHex(utils.hashBytes(Buffer.concat([encryptionKey, Buffer.from(key)])));
+  }
+
+  /**
+   * @param  {String} key
+   * @returns {String} - Value stored, null if not found
+   */
+  get(key) {
+    const encrypted = this.backend.get(this.storedKey(key));
+    if (encrypted === null) {
+      return null;
+    }
+    const [storedKey, value] = JSON.parse(kcUtils.decrypt(this.encryptionKey, encrypted));
+    if (storedKey !== key) {
+      throw new Error('Encrypted entry does not belong to the key');
+    }
+    return value;
+  }
+
+  /**
+   * @param  {String} key
+   * @param  {String} value
+   */
+  put(key, value) {
+    this.backend.put(this.storedKey(key), kcUtils.encrypt(this.encryptionKey, JSON.stringify([key, value])));
+  }
+
+  /**
+   * @param  {String} key
+   */
+  delete(key) {
+    this.backend.delete(this.storedKey(key));
+  }
+
+  /**
+   * Write a set of operations, atomically if the wrapped backend supports it
+   * @param {Array} ops - Operations as { type: 'put', key, value } or { type: 'del', key }
+   */
+  batch(ops) {
+    writeBatch(this.backend, ops.map(op => ((op.type === 'put')
+      ? { type: 'put', key: this.storedKey(op.key), value: kcUtils.encrypt(this.encryptionKey, JSON.stringify([op.key, op.value])) }
+      : { type: 'del', key: this.storedKey(op.key) })));
+  }
+
+  /**
+   * Go through all the entries stored, decrypted
+   * @param {Function} callback - Function called with the key and the value of every entry
+   */
+  iterate(callback) {
+    const entries = [];
+    this.backend.iterate((key, encrypted) => {
+      if (!key.startsWith(CONSTANTS.ENCPREFIX)) {
+        return;
+      }
+      entries.push(JSON.parse(kcUtils.decrypt(this.encryptionKey, encrypted)));
+    });
+    entries.forEach(([key, value]) => callback(key, value));
+  }
+}
+
+module.exports = EncryptedBackend;
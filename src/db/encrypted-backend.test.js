@@ -0,0 +1,111 @@
+const chai = require('chai');
+const snarkjs = require('snarkjs');
+const iden3 = require('../index');
+const CONSTANTS = require('../constants');
+const EncryptedBackend = require('./encrypted-backend');
+const MemoryBackend = require('./memory-backend');
+
+const { bigInt } = snarkjs;
+const { expect } = chai;
+
+const idAddr = '0xq5soghj264eax651ghq1651485ccaxas98461251d5f1sdf6c51c5d1c6sd1c651-encrypted-';
+
+describe('[encrypted-backend] Encrypted database', () => {
+  let kc;
+  before('Unlock key container', () => {
+    kc = new iden3.KeyContainer('localStorage', new iden3.Db(new MemoryBackend()));
+    kc.unlock('pass');
+  });
+
+  after('Lock key container', () => {
+    kc.lock();
+  });
+
+  it('values are not stored in plaintext', () => {
+    const backend = new MemoryBackend();
+    const db = new iden3.Db(new EncryptedBackend(backend, kc));
+    db.insert('key-0', 'this is the value');
+    expect(db.get('key-0')).to.be.equal('this is the value');
+    expect(db.get('key-1')).to.be.equal(null);
+    const stored = backend.get(`${CONSTANTS.ENCPREFIX}i3db-key-0`);
+    expect(stored).to.be.not.equal(null);
+    expect(stored).to.not.include('this is the value');
+    db.delete('key-0');
+    expect(backend.entries.size).to.be.equal(0);
+  });
+
+  it('hashed keys', () => {
+    const backend = new MemoryBackend();
+    backend.put('unrelated app key', 'value');
+    const db = new iden3.Db(new EncryptedBackend(backend, kc, { hashKeys: true }));
+    db.insert('key-0', 'value-0');
+    db.insert('key-1', 'value-1');
+    const storedKeys = [];
+    backend.iterate(key => storedKeys.push(key));
+    expect(storedKeys.some(key => key.includes('key-0'))).to.be.equal(false);
+    expect(db.get('key-1')).to.be.equal('value-1');
+    expect(db.listKeys('key-').sort()).to.be.deep.equal(['key-0', 'key-1']);
+    expect(db.clearNamespace()).to.be.equal(2);
+    expect(backend.entries.size).to.be.equal(1);
+  });
+
+  it('entry moved to another key is rejected', () => {
+    const backend = new MemoryBackend();
+    const db = new iden3.Db(new EncryptedBackend(backend, kc));
+    db.insert('key-0', 'value-0');
+    backend.put(`${CONSTANTS.ENCPREFIX}i3db-key-1`, backend.get(`${CONSTANTS.ENCPREFIX}i3db-key-0`));
+    expect(() => db.get('key-1')).to.throw('Encrypted entry does not belong to the key');
+  });
+
+  it('locked or different key container', () => {
+    const backend = new MemoryBackend();
+    const db = new iden3.Db(new EncryptedBackend(backend, kc));
+    db.insert('key-0', 'value-0');
+    const kcOther = new iden3.KeyContainer('localStorage', new iden3.Db(new MemoryBackend()));
+    expect(() => new EncryptedBackend(backend, kcOther)).to.throw('KeyContainer not unlocked');
+    kcOther.unlock('other pass');
+    const dbOther = new iden3.Db(new EncryptedBackend(backend, kcOther));
+    expect(() => dbOther.get('key-0')).to.throw('Could not decrypt message');
+    expect(() => dbOther.listKeys('')).to.throw('Could not decrypt message');
+    kcOther.lock();
+  });
+
+  it('database is usable after the key container is locked', () => {
+    const kcLocked = new iden3.KeyContainer('localStorage', new iden3.Db(new MemoryBackend()));
+    kcLocked.unlock('pass');
+    const db = new iden3.Db(new EncryptedBackend(new MemoryBackend(), kcLocked, { hashKeys: true }));
+    kcLocked.lock();
+    db.insert('key-0', 'value-0');
+    expect(db.get('key-0')).to.be.equal('value-0');
+    expect(db.listKeys('')).to.be.deep.equal(['key-0']);
+  });
+
+  it('merkle trees and identity', () => {
+    const db = new iden3.Db(new EncryptedBackend(new MemoryBackend(), kc, { hashKeys: true }));
+    const dbPlain = new iden3.Db(new MemoryBackend());
+    const claims = [1, 2, 3].map(i => [bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    const smt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const smtPlain = new iden3.sparseMerkleTree.SparseMerkleTree(dbPlain, idAddr);
+    smt.addClaims(claims.slice(0, 2));
+    smt.addClaim(claims[2]);
+    smtPlain.addClaims(claims);
+    expect(smt.root).to.be.deep.equal(smtPlain.root);
+    expect(new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr).root).to.be.deep.equal(smt.root);
+    expect(smt.getClaimByHi(claims[1].slice(2))).to.be.deep.equal(claims[1]);
+    expect(smt.generateProof(claims[1].slice(2))).to.be.deep.equal(smtPlain.generateProof(claims[1].slice(2)));
+
+    const leaf = { data: Buffer.from('this is a test claim'), indexLength: 15 };
+    const mt = new iden3.merkleTree.MerkleTree(db, 140, idAddr);
+    const mtPlain = new iden3.merkleTree.MerkleTree(dbPlain, 140, idAddr);
+    mt.addClaim(leaf);
+    mtPlain.addClaim(leaf);
+    expect(mt.root).to.be.deep.equal(mtPlain.root);
+    expect(mt.getLeafByHi(iden3.utils.hashBytes(leaf.data.slice(0, leaf.indexLength)))).to.be.deep.equal(leaf);
+
+    const key = `0x${'01'.repeat(20)}`;
+    const id = new iden3.Id(key, key, key, 'relay test', 'relay address', '', undefined, 0, db);
+    id.idAddr = idAddr;
+    id.saveKeys();
+    expect(id.getKeys().recover).to.be.equal(key);
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a directory along with its missing parent directories
+ * @param {String} dirPath - Path of the directory
+ */
+function mkdirParents(dirPath) {
+  if (fs.existsSync(dirPath)) {
+    return;
+  }
+  mkdirParents(path.dirname(dirPath));
+  fs.mkdirSync(dirPath);
+}
+
+/**
+ * Storage backend for node, persisting the entries on a log file in the way LevelDB does
+ * Every write is appended to the log, and the whole log is replayed into memory when the file is opened
+ * Log is made of lines as follows:
+ * ["put", key, value]
+ * ["del", key]
+ * ["batch", [op, ...]] where every op is one of the above, so a batch is written on a single line
+ */
+class FileBackend {
+  /**
+   * @param {String} filePath - Path of the log file, created along with its directories if it does not exist
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = new Map();
+    if (fs.existsSync(filePath)) {
+      this.load();
+    } else {
+      mkdirParents(path.dirname(filePath));
+    }
+  }
+
+  /**
+   * Replay the log file into memory
+   * A line is written once it ends with a newline, so anything after the last newline was not completely written
+   * It is removed from the file, otherwise the next write would be appended to it
+   */
+  load() {
+    const log = fs.readFileSync(this.filePath, 'utf8');
+    const lines = log.split('\n');
+    const partial = lines.pop();
+    if (partial !== '') {
+      fs.truncateSync(this.filePath, Buffer.byteLength(log) - Buffer.byteLength(partial));
+    }
+    lines.forEach((line, i) => {
+      if (line === '') {
+        return;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Corrupted log file on line ${i + 1}`);
+      }
+      const records = (record[0] === 'batch') ? record[1] : [record];
+      records.forEach(([op, key, value]) => {
+        if (op === 'put') {
+          this.entries.set(key, value);
+        } else {
+          this.entries.delete(key);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param  {String} key
+   * @returns {String} - Value stored, null if not found
+   */
+  get(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  /**
+   * @param  {String} key
+   * @param  {String} value
+   */
+  put(key, value) {
+    fs.appendFileSync(this.filePath, `${JSON.stringify(['put', key, value])}\n`);
+    this.entries.set(key, value);
+  }
+
+  /**
+   * @param  {String} key
+   */
+  delete(key) {
+    fs.appendFileSync(this.filePath, `${JSON.stringify(['del', key])}\n`);
+    this.entries.delete(key);
+  }
+
+  /**
+   * Write a set of operations atomically, a batch partially written is skipped when the file is opened
+   * @param {Array} ops - Operations as { type: 'put', key, value } or { type: 'del', key }
+   */
+  batch(ops) {
+    const records = ops.map(op => ((op.type === 'put') ? ['put', op.key, op.value] : ['del', op.key]));
+    fs.appendFileSync(this.filePath, `${JSON.stringify(['batch', records])}\n`);
+    ops.forEach((op) => {
+      if (op.type === 'put') {
+        this.entries.set(op.key, op.value);
+      } else {
+        this.entries.delete(op.key);
+      }
+    });
+  }
+
+  /**
+   * Go through all the entries stored
+   * @param {Function} callback - Function called with the key and the value of every entry
+   */
+  iterate(callback) {
+    this.entries.forEach((value, key) => callback(key, value));
+  }
+
+  /**
+   * Rewrite the log file with just the entries currently stored
+   */
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    let log = '';
+    this.entries.forEach((value, key) => {
+      log += `${JSON.stringify(['put', key, value])}\n`;
+    });
+    fs.writeFileSync(tmpPath, log);
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = FileBackend;
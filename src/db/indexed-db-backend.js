@@ -0,0 +1,171 @@
+/**
+ * Wait until a transaction of the IndexedDB is finished
+ * @param {Object} tx - IDBTransaction object
+ * @returns {Promise} - Resolved when the transaction is completed
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Apply an operation on the entries held in memory
+ * @param {Map} entries - Entries of the backend
+ * @param {Object} op - Operation as { type: 'put', key, value } or { type: 'del', key }
+ */
+function applyOp(entries, op) {
+  if (op.type === 'put') {
+    entries.set(op.key, op.value);
+  } else {
+    entries.delete(op.key);
+  }
+}
+
+/**
+ * Storage backend for browsers on top of the IndexedDB
+ * IndexedDB is asynchronous, so entries are loaded into memory when the database is opened
+ * Reads are served from memory and writes are persisted on the background, flush() waits for them
+ * A write which fails to be persisted is undone on memory, and flush() rejects with its error
+ * Use IndexedDbBackend.open() to create it
+ */
+class IndexedDbBackend {
+  /**
+   * @param {Object} database - IDBDatabase object already opened
+   * @param {String} storeName - Name of the object store holding the entries
+   * @param {Map} entries - Entries already stored on the object store
+   */
+  constructor(database, storeName, entries = new Map()) {
+    this.database = database;
+    this.storeName = storeName;
+    this.entries = entries;
+    this.pending = [];
+    this.errors = [];
+  }
+
+  /**
+   * Open an IndexedDB database and load all its entries
+   * @param {String} name - Name of the database
+   * @param {String} storeName - Name of the object store holding the entries
+   * @param {Object} factory - IDBFactory object, window.indexedDB by default
+   * @returns {Promise} - Resolved with the IndexedDbBackend object
+   */
+  static open(name = 'iden3', storeName = 'iden3', factory = indexedDB) {
+    return new Promise((resolve, reject) => {
+      const request = factory.open(name, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const database = request.result;
+        const entries = new Map();
+        const cursorRequest = database.transaction(storeName, 'readonly').objectStore(storeName).openCursor();
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (cursor) {
+            entries.set(cursor.key, cursor.value);
+            cursor.continue();
+          } else {
+            resolve(new IndexedDbBackend(database, storeName, entries));
+          }
+        };
+      };
+    });
+  }
+
+  /**
+   * Apply a set of operations on memory and persist them on a single transaction of the object store
+   * If the requests can not be placed, it throws leaving memory untouched
+   * If the transaction fails, entries on memory are restored and the error is reported by the next flush()
+   * @param {Array} ops - Operations as { type: 'put', key, value } or { type: 'del', key }
+   */
+  write(ops) {
+    // Requests are placed before touching memory, as they may throw, e.g. if the database is closed
+    const tx = this.database.transaction(this.storeName, 'readwrite');
+    try {
+      const store = tx.objectStore(this.storeName);
+      ops.forEach(op => ((op.type === 'put') ? store.put(op.value, op.key) : store.delete(op.key)));
+    } catch (err) {
+      tx.abort();
+      throw err;
+    }
+    const previous = new Map();
+    const written = new Map();
+    ops.forEach((op) => {
+      if (!previous.has(op.key)) {
+        previous.set(op.key, this.get(op.key));
+      }
+      written.set(op.key, (op.type === 'put') ? op.value : null);
+      applyOp(this.entries, op);
+    });
+    const done = transactionDone(tx).catch((err) => {
+      this.errors.push(err);
+      // Entries written afterwards are not restored
+      previous.forEach((value, key) => {
+        if (this.get(key) === written.get(key)) {
+          applyOp(this.entries, (value === null) ? { type: 'del', key } : { type: 'put', key, value });
+        }
+      });
+    });
+    this.pending.push(done);
+    done.then(() => this.pending.splice(this.pending.indexOf(done), 1));
+  }
+
+  /**
+   * @param  {String} key
+   * @returns {String} - Value stored, null if not found
+   */
+  get(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  /**
+   * @param  {String} key
+   * @param  {String} value
+   */
+  put(key, value) {
+    this.write([{ type: 'put', key, value }]);
+  }
+
+  /**
+   * @param  {String} key
+   */
+  delete(key) {
+    this.write([{ type: 'del', key }]);
+  }
+
+  /**
+   * Write a set of operations on a single transaction of the IndexedDB
+   * All of them are rolled back on memory if the transaction fails
+   * @param {Array} ops - Operations as { type: 'put', key, value } or { type: 'del', key }
+   */
+  batch(ops) {
+    this.write(ops);
+  }
+
+  /**
+   * Go through all the entries stored
+   * @param {Function} callback - Function called with the key and the value of every entry
+   */
+  iterate(callback) {
+    this.entries.forEach((value, key) => callback(key, value));
+  }
+
+  /**
+   * Wait until all the writes are persisted on the IndexedDB
+   * @returns {Promise} - Resolved when there are no pending writes, rejected if any of them failed
+   */
+  flush() {
+    return Promise.all(this.pending.slice()).then(() => {
+      const [err] = this.errors;
+      this.errors = [];
+      if (err) {
+        throw err;
+      }
+    });
+  }
+}
+
+module.exports = IndexedDbBackend;
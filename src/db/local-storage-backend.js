@@ -0,0 +1,68 @@
+// On node there is no localStorage, it is emulated with node-localstorage
+const hasLocalStorage = typeof localStorage !== 'undefined' && localStorage !== null;
+const NodeLocalStorage = hasLocalStorage ? undefined : require('node-localstorage').LocalStorage;
+
+let nodeLocalStorage;
+
+/**
+ * Get the localStorage of the browser
+ * On node, a localStorage is emulated with the files placed on ./tmp
+ * @returns {Object} - localStorage object
+ */
+function getLocalStorage() {
+  if (hasLocalStorage) {
+    return localStorage;
+  }
+  if (nodeLocalStorage === undefined) {
+    nodeLocalStorage = new NodeLocalStorage('./tmp');
+  }
+  return nodeLocalStorage;
+}
+
+/**
+ * Storage backend on top of the localStorage
+ */
+class LocalStorageBackend {
+  /**
+   * @param {Object} storage - Object implementing the Storage interface, localStorage by default
+   */
+  constructor(storage = getLocalStorage()) {
+    this.storage = storage;
+  }
+
+  /**
+   * @param  {String} key
+   * @returns {String} - Value stored, null if not found
+   */
+  get(key) {
+    return this.storage.getItem(key);
+  }
+
+  /**
+   * @param  {String} key
+   * @param  {String} value
+   */
+  put(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  /**
+   * @param  {String} key
+   */
+  delete(key) {
+    this.storage.removeItem(key);
+  }
+
+  /**
+   * Go through all the entries stored
+   * @param {Function} callback - Function called with the key and the value of every entry
+   */
+  iterate(callback) {
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      callback(key, this.storage.getItem(key));
+    }
+  }
+}
+
+module.exports = LocalStorageBackend;
@@ -0,0 +1,42 @@
+/**
+ * Storage backend keeping all the entries in memory
+ * Data is lost when the process ends, intended for tests and short-lived databases
+ */
+class MemoryBackend {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * @param  {String} key
+   * @returns {String} - Value stored, null if not found
+   */
+  get(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  /**
+   * @param  {String} key
+   * @param  {String} value
+   */
+  put(key, value) {
+    this.entries.set(key, value);
+  }
+
+  /**
+   * @param  {String} key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Go through all the entries stored
+   * @param {Function} callback - Function called with the key and the value of every entry
+   */
+  iterate(callback) {
+    this.entries.forEach((value, key) => callback(key, value));
+  }
+}
+
+module.exports = MemoryBackend;
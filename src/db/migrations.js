@@ -0,0 +1,113 @@
+const schemaVersionKey = 'schema-version';
+
+/**
+ * Build an upgrade step moving all the keys from a prefix to another one
+ * Prefixes can not start with each other, otherwise keys already moved would be listed to be moved again
+ * @param {String} fromPrefix - Prefix of the keys to move
+ * @param {String} toPrefix - Prefix replacing fromPrefix
+ * @returns {Function} - Upgrade step
+ */
+function movePrefix(fromPrefix, toPrefix) {
+  if (fromPrefix.startsWith(toPrefix) || toPrefix.startsWith(fromPrefix)) {
+    throw new Error(`Prefixes can not overlap: ${fromPrefix}, ${toPrefix}`);
+  }
+  return (batch) => {
+    batch.listKeys(fromPrefix).forEach((key) => {
+      batch.put(toPrefix + key.slice(fromPrefix.length), batch.get(key));
+      batch.delete(key);
+    });
+  };
+}
+
+/**
+ * Get the schema version of the data stored on a database
+ * @param {Object} db - Database
+ * @returns {Number} - Schema version, 0 if it has never been migrated
+ */
+function getSchemaVersion(db) {
+  const version = db.get(schemaVersionKey);
+  return (version === null) ? 0 : Number(version);
+}
+
+/**
+ * Registry of the upgrade steps of the data stored on a database
+ * Every step upgrades the data from the previous version to its own version,
+ * and it is a function called with a batch, which reads see the writes of the previous steps
+ */
+class Migrations {
+  constructor() {
+    this.steps = [];
+  }
+
+  /**
+   * Register an upgrade step
+   * @param {Number} version - Schema version after the step, a positive integer
+   * @param {String} description - What the step does
+   * @param {Function} upgrade - Function called with the batch where the step writes
+   */
+  register(version, description, upgrade) {
+    if (!Number.isInteger(version) || version <= 0) {
+      throw new Error(`Invalid migration version: ${version}`);
+    }
+    if (this.steps.some(step => step.version === version)) {
+      throw new Error(`Migration version already registered: ${version}`);
+    }
+    this.steps.push({ version, description, upgrade });
+    this.steps.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Get the schema version reached once all the steps are applied
+   * @returns {Number} - Latest schema version
+   */
+  latestVersion() {
+    return (this.steps.length === 0) ? 0 : this.steps[this.steps.length - 1].version;
+  }
+
+  /**
+   * Apply the steps needed to bring the database to the target version
+   * All the steps are written at once along with the new schema version, so if any of them fails nothing is written
+   * On a dry run the steps are applied but never written
+   * @param {Object} db - Database to migrate
+   * @param {Object} options - Dry run, false by default, and target version, the latest one by default
+   * @returns {Object} - Versions before and after the migration, steps applied as { version, description }, and keys written and deleted
+   */
+  run(db, { dryRun = false, targetVersion = this.latestVersion() } = {}) {
+    const fromVersion = getSchemaVersion(db);
+    if (fromVersion > this.latestVersion()) {
+      throw new Error(`Database schema version ${fromVersion} is newer than the supported ${this.latestVersion()}`);
+    }
+    const steps = this.steps.filter(step => step.version > fromVersion && step.version <= targetVersion);
+    const batch = db.batch();
+    try {
+      steps.forEach(step => step.upgrade(batch));
+    } catch (err) {
+      batch.rollback();
+      throw err;
+    }
+    const toVersion = (steps.length === 0) ? fromVersion : steps[steps.length - 1].version;
+    batch.put(schemaVersionKey, `${toVersion}`);
+    const written = [];
+    const deleted = [];
+    batch.pendingOps().forEach(op => ((op.type === 'del') ? deleted : written).push(op.key));
+    if (dryRun) {
+      batch.rollback();
+    } else {
+      batch.commit();
+    }
+    return {
+      fromVersion,
+      toVersion,
+      applied: steps.map(({ version, description }) => ({ version, description })),
+      written,
+      deleted,
+    };
+  }
+}
+
+module.exports = {
+  Migrations,
+  getSchemaVersion,
+  movePrefix,
+  schemaVersionKey,
+};
@@ -0,0 +1,89 @@
+const chai = require('chai');
+const iden3 = require('../index');
+const MemoryBackend = require('./memory-backend');
+const { Migrations, getSchemaVersion, movePrefix } = require('./migrations');
+
+const { expect } = chai;
+
+describe('[migrations] Schema migrations', () => {
+  let migrations;
+  before('Register steps', () => {
+    migrations = new Migrations();
+    migrations.register(2, 'Re-encode legacy claims', (batch) => {
+      batch.listKeys('new-claim-').forEach((key) => {
+        batch.put(key, Buffer.from(batch.get(key)).toString('hex'));
+      });
+    });
+    migrations.register(1, 'Move claims to a new prefix', movePrefix('claim-', 'new-claim-'));
+  });
+
+  function legacyDb() {
+    const db = new iden3.Db(new MemoryBackend());
+    db.insert('claim-0', 'claim data 0');
+    db.insert('claim-1', 'claim data 1');
+    db.insert('other-0', 'other data');
+    return db;
+  }
+
+  it('register', () => {
+    expect(migrations.latestVersion()).to.be.equal(2);
+    expect(() => migrations.register(1, 'Repeated', () => {})).to.throw('Migration version already registered: 1');
+    expect(() => migrations.register(0.5, 'Invalid', () => {})).to.throw('Invalid migration version: 0.5');
+  });
+
+  it('overlapping prefixes', () => {
+    expect(() => movePrefix('claim-', 'claim-v1-')).to.throw('Prefixes can not overlap: claim-, claim-v1-');
+    expect(() => movePrefix('claim-v1-', 'claim-')).to.throw('Prefixes can not overlap: claim-v1-, claim-');
+    expect(() => movePrefix('claim-', 'claim-')).to.throw('Prefixes can not overlap: claim-, claim-');
+  });
+
+  it('upgrade from an unversioned database', () => {
+    const db = legacyDb();
+    expect(getSchemaVersion(db)).to.be.equal(0);
+    const result = migrations.run(db);
+    expect(result.fromVersion).to.be.equal(0);
+    expect(result.toVersion).to.be.equal(2);
+    expect(result.applied.map(step => step.version)).to.be.deep.equal([1, 2]);
+    expect(result.deleted.sort()).to.be.deep.equal(['claim-0', 'claim-1']);
+    expect(getSchemaVersion(db)).to.be.equal(2);
+    expect(db.listKeys('claim-')).to.be.deep.equal([]);
+    expect(db.get('new-claim-1')).to.be.equal(Buffer.from('claim data 1').toString('hex'));
+    expect(db.get('other-0')).to.be.equal('other data');
+    // Nothing to do once migrated
+    expect(migrations.run(db).applied).to.be.deep.equal([]);
+  });
+
+  it('upgrade until a target version', () => {
+    const db = legacyDb();
+    migrations.run(db, { targetVersion: 1 });
+    expect(getSchemaVersion(db)).to.be.equal(1);
+    expect(db.get('new-claim-0')).to.be.equal('claim data 0');
+    expect(migrations.run(db).applied.map(step => step.version)).to.be.deep.equal([2]);
+  });
+
+  it('dry run', () => {
+    const db = legacyDb();
+    const result = migrations.run(db, { dryRun: true });
+    expect(result.toVersion).to.be.equal(2);
+    expect(result.written.sort()).to.be.deep.equal(['new-claim-0', 'new-claim-1', 'schema-version']);
+    expect(getSchemaVersion(db)).to.be.equal(0);
+    expect(db.listKeys('new-claim-')).to.be.deep.equal([]);
+  });
+
+  it('rollback on failure', () => {
+    const failing = new Migrations();
+    failing.register(1, 'Move claims to a new prefix', movePrefix('claim-', 'new-claim-'));
+    failing.register(2, 'Failing step', () => { throw new Error('Step failed'); });
+    const db = legacyDb();
+    expect(() => failing.run(db)).to.throw('Step failed');
+    expect(getSchemaVersion(db)).to.be.equal(0);
+    expect(db.listKeys('claim-')).to.have.lengthOf(2);
+    expect(db.listKeys('new-claim-')).to.be.deep.equal([]);
+  });
+
+  it('database newer than the steps registered', () => {
+    const db = legacyDb();
+    db.insert('schema-version', '3');
+    expect(() => migrations.run(db)).to.throw('Database schema version 3 is newer than the supported 2');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Write a set of operations into a storage backend, either all of them or none
+ * Backends able to write atomically expose batch(ops), otherwise previous values are restored if any write fails
+ * @param {Object} backend - Storage backend
+ * @param {Array} ops - Operations as { type: 'put', key, value } or { type: 'del', key }
+ */
+function writeBatch(backend, ops) {
+  if (typeof backend.batch === 'function') {
+    backend.batch(ops);
+    return;
+  }
+  const previous = [];
+  try {
+    ops.forEach((op) => {
+      previous.push({ key: op.key, value: backend.get(op.key) });
+      if (op.type === 'put') {
+        backend.put(op.key, op.value);
+      } else {
+        backend.delete(op.key);
+      }
+    });
+  } catch (err) {
+    previous.reverse().forEach(({ key, value }) => {
+      if (value === null) {
+        backend.delete(key);
+      } else {
+        backend.put(key, value);
+      }
+    });
+    throw err;
+  }
+}
+
+module.exports = writeBatch;
@@ -16,9 +16,10 @@ class Id {
    * @param  {String} implementation
    * @param  {String} backup
    * @param  {Number} keyProfilePath - Path derivation related to key chain derivation for this identity
+   * @param  {Object} db - Database where the identity data is stored, a new one on localStorage by default
    */
-  constructor(keyOpPub, keyRecover, keyRevoke, relay, relayAddr, implementation = '', backup = undefined, keyProfilePath = 0) {
-    const db = new DataBase();
+  constructor(keyOpPub, keyRecover, keyRevoke, relay, relayAddr, implementation = '', backup = undefined, keyProfilePath = 0,
+    db = new DataBase()) {
     this.db = db;
     this.keyRecover = keyRecover;
     this.keyRevoke = keyRevoke;
@@ -1,8 +1,15 @@
 const claim = require('./claim/claim');
 const merkleTree = require('./merkle-tree/merkle-tree');
 const sparseMerkleTree = require('./sparse-merkle-tree/sparse-merkle-tree');
+const merkleTreeInterface = require('./merkle-tree-interface/merkle-tree-interface');
 const Relay = require('./http/relay');
 const Db = require('./db/db');
+const LocalStorageBackend = require('./db/local-storage-backend');
+const MemoryBackend = require('./db/memory-backend');
+const FileBackend = require('./db/file-backend');
+const IndexedDbBackend = require('./db/indexed-db-backend');
+const EncryptedBackend = require('./db/encrypted-backend');
+const migrations = require('./db/migrations');
 const PrivateFolder = require('./http/private-folder');
 const KeyContainer = require('./key-container/key-container');
 const Id = require('./id/id');
@@ -19,7 +26,14 @@ module.exports = {
   claim,
   merkleTree,
   sparseMerkleTree,
+  merkleTreeInterface,
   Db,
+  LocalStorageBackend,
+  MemoryBackend,
+  FileBackend,
+  IndexedDbBackend,
+  EncryptedBackend,
+  migrations,
   PrivateFolder,
   KeyContainer,
   Id,
@@ -0,0 +1,23 @@
+const Db = require('../db/db');
+const FileBackend = require('../db/file-backend');
+const LocalStorageContainer = require('./local-storage-container');
+
+/**
+ * Key container persisting the keys on a file, for node command line tools
+ * As with the rest of containers, seeds and private keys are stored encrypted with the passphrase
+ */
+class FileContainer extends LocalStorageContainer {
+  /**
+   * @param {String} filePath - Path of the keystore file, created if it does not exist
+   */
+  constructor(filePath) {
+    if (typeof filePath !== 'string') {
+      throw new Error('Keystore file path is required');
+    }
+    super(new Db(new FileBackend(filePath)));
+    this.type = 'file';
+    this.filePath = filePath;
+  }
+}
+
+module.exports = FileContainer;
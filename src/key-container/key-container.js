@@ -1,14 +1,28 @@
 const LocalStorageContainer = require('./local-storage-container');
+const MemoryContainer = require('./memory-container');
+const FileContainer = require('./file-container');
 
 /**
+ * Creates the key container of the given type
+ * localStorage - keys stored on a database, second parameter is the database
+ * memory - keys kept in memory, second parameter is an optional database
+ * file - keys stored on a file, second parameter is the path of the file
+ * Throws if the type is unknown
  * @param  {String} type
+ * @param  {Object} db - Database, or path of the file for file containers
  */
 class KeyContainer {
   constructor(type, db) {
     if (type === 'localStorage') {
       return new LocalStorageContainer(db);
     }
-    return undefined;
+    if (type === 'memory') {
+      return new MemoryContainer(db);
+    }
+    if (type === 'file') {
+      return new FileContainer(db);
+    }
+    throw new Error(`Unknown key container type: ${type}`);
   }
 }
 
@@ -0,0 +1,63 @@
+const chai = require('chai');
+const fs = require('fs');
+const KeyContainer = require('./key-container');
+
+const { expect } = chai;
+
+const testPrivKHex = '0xda7079f082a1ced80c5dee3bf00752fd67f75321a637e5d5073ce1489af062d8';
+const testAddress = '0xbc8c480e68d0895f1e410f4e4ea6e2d6b160ca9f';
+const testSignature = '0x5413b44384531e9e92bdd80ff21cea7449441dcfff6f4ed0f90864583e3fcade3d5c8857672b473f71d09355e034dba11bb2ca4aa73c55c534293fdca68941041c';
+const filePath = './tmp/keystore-test.log';
+
+describe('[key-container] Key container types', () => {
+  before('Remove keystore file', () => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('unknown type', () => {
+    expect(() => new KeyContainer('test')).to.throw('Unknown key container type: test');
+    expect(() => new KeyContainer('file')).to.throw('Keystore file path is required');
+  });
+
+  [['memory', undefined], ['file', filePath]].forEach(([type, param]) => {
+    it(`${type} container`, () => {
+      const kc = new KeyContainer(type, param);
+      expect(kc.type).to.be.equal(type);
+      expect(kc.generateKeyRand()).to.be.equal(undefined);
+      kc.unlock('pass');
+      const key0 = kc.importKey(testPrivKHex);
+      expect(key0).to.be.equal(testAddress);
+      expect(kc.sign(key0, 'test').signature).to.be.equal(testSignature);
+      const key1 = kc.generateKeyRand();
+      expect(kc.listKeys().sort()).to.be.deep.equal([key0, key1].sort());
+      kc.lock();
+      expect(kc.sign(key0, 'test')).to.be.equal('KeyContainer blocked');
+    });
+  });
+
+  it('memory containers do not share keys', () => {
+    const kc = new KeyContainer('memory');
+    expect(kc.listKeys()).to.be.deep.equal([]);
+  });
+
+  it('file container on a nested path', () => {
+    const kc = new KeyContainer('file', './tmp/keystore/nested/keystore.log');
+    kc.unlock('pass');
+    kc.importKey(testPrivKHex);
+    kc.lock();
+    expect(new KeyContainer('file', './tmp/keystore/nested/keystore.log').listKeys()).to.be.deep.equal([testAddress]);
+  });
+
+  it('file container keeps the keys encrypted', () => {
+    const keystore = fs.readFileSync(filePath, 'utf8');
+    expect(keystore).to.include(testAddress);
+    expect(keystore).to.not.include(testPrivKHex.slice(2));
+    const kc = new KeyContainer('file', filePath);
+    kc.unlock('pass');
+    expect(kc.listKeys()).to.include(testAddress);
+    expect(kc.sign(testAddress, 'test').signature).to.be.equal(testSignature);
+    kc.lock();
+  });
+});
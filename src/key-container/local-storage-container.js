@@ -9,10 +9,8 @@ const kcUtils = require('./kc-utils');
 
 nacl.util = require('tweetnacl-util');
 
-if (typeof localStorage === 'undefined' || localStorage === null) {
-  const LocalStorage = require('node-localstorage').LocalStorage;
-  localStorage = new LocalStorage('./tmp');
-}
+// Entries of the key container which are not keys
+const nonKeyEntries = ['masterSeed', 'keySeed'];
 
 class LocalStorageContainer {
   constructor(db) {
@@ -288,6 +286,8 @@ class LocalStorageContainer {
     }
     const root = hdkey.fromMasterSeed(mnemonic);
     const keys = [];
+    // All the keys are stored, or none of them
+    const batch = this.db.batch();
     const path = "m/44'/60'/0'/";
 
     // to allow in the future specify how many keys want to derivate
@@ -300,7 +300,7 @@ class LocalStorageContainer {
       const privKHexEncrypted = kcUtils.encrypt(this.encryptionKey, privKHex);
       keys.push(addressHex);
 
-      this.db.insert(this.prefix + addressHex, privKHexEncrypted);
+      batch.put(this.prefix + addressHex, privKHexEncrypted);
       // Consider key 0 as the operational
       // Retrieve and save public key ( compress format ) from private operational
       if (i === 0) {
@@ -308,28 +308,21 @@ class LocalStorageContainer {
         const pubKHex = utils.bytesToHex(pubK);
         keys.push(pubKHex);
 
-        this.db.insert(this.prefix + pubKHex, privKHexEncrypted);
+        batch.put(this.prefix + pubKHex, privKHexEncrypted);
       }
     }
+    batch.commit();
     return { keys };
   }
 
   /**
    * Get all the identities from dataBase
-   * @returns {Array} Contains all the identities found in the database
+   * Identities are the ones which keys have been saved in the same database
+   * @returns {Array} Contains the addresses of all the identities found in the database
    */
   listIdentities() {
-    const idList = [];
-    const localStorageLength = localStorage.length;
-    for (let i = 0, len = localStorageLength; i < len; i++) {
-      // get only the stored data related to identities (that have the prefix)
-      if (localStorage.key(i).indexOf(this.db.prefix + this.prefix + CONSTANTS.IDPREFIX) !== -1) {
-        const identity = localStorage.key(i).replace(this.prefix + this.db.prefix, '');
-
-        idList.push(identity);
-      }
-    }
-    return idList;
+    const idKeysPrefix = CONSTANTS.IDPREFIX + CONSTANTS.KEYPREFIX;
+    return this.db.listKeys(idKeysPrefix).map(key => key.replace(idKeysPrefix, ''));
   }
 
   /**
@@ -396,21 +389,15 @@ class LocalStorageContainer {
   }
 
   /**
-   * @returns {Array}
+   * Get all the keys stored, seeds and recovery keys are not listed
+   * @returns {Array} Contains the address or public key of every key stored
    */
   listKeys() {
-    const keysList = [];
-    const localStorageLength = localStorage.length;
-
-    for (let i = 0, len = localStorageLength; i < len; i++) {
-      // get only the stored data related to keycontainer (that have the prefix)
-      if (localStorage.key(i).indexOf(this.prefix + this.db.prefix) !== -1) {
-        const key = localStorage.key(i).replace(this.prefix + this.db.prefix, '');
-        keysList.push(key);
-      }
-    }
-
-    return keysList;
+    // get only the stored data related to keycontainer (that have the prefix)
+    return this.db.listKeys(this.prefix).map(key => key.replace(this.prefix, ''))
+      .filter(key => !nonKeyEntries.includes(key)
+        && !key.startsWith(CONSTANTS.IDRECOVERYPREFIX)
+        && !key.startsWith(CONSTANTS.IDPREFIX));
   }
 
   /**
@@ -1,4 +1,5 @@
 const chai = require('chai');
+const CONSTANTS = require('../constants');
 const Db = require('../db/db');
 const LocalStorageContainer = require('./local-storage-container');
 
@@ -149,4 +150,29 @@ describe('[Local-storage-container] Test identity flow', () => {
     expect(keys[2]).to.be.equal('0xf8c1904635ccc145db913d4a0b382e4ec053dd9b');
     expect(keys[3]).to.be.equal('0xb8adfcddbc5b140469a638671e2fa4e1be8f1a61');
   });
+
+  it('List only the keys created', () => {
+    keyContainer.unlock('pass');
+    keyContainer.generateRecoveryAddr(keyContainer.getMasterSeed());
+    keyContainer.lock();
+
+    expect(keyContainer.listKeys().sort()).to.be.deep.equal([
+      '0xc7d89fe96acdb257b434bf580b8e6eb677d445a9',
+      '0x03c2e48632c87932663beff7a1f6deb692cc61b041262ae8f310203d0f5ff57833',
+      '0xf3c9f94e4eaffef676d4fd3b4fc2732044caea91',
+      '0xb07079bd6238fa845dc77bbce3ec2edf98ffe735',
+      '0x2dc1f223c441412c9e490042360a9eaa96db0829',
+      '0x0279f9574efb8f4dbffd07f386bb4736f516bd75824eae7ebda3c87ee18ac3618c',
+      '0xf8c1904635ccc145db913d4a0b382e4ec053dd9b',
+      '0xb8adfcddbc5b140469a638671e2fa4e1be8f1a61',
+    ].sort());
+  });
+
+  it('List identities which keys are saved', () => {
+    const idAddr = '0x52dc5ff33803f8f2cba2d1f2e2a0e5e1f0e08b9d';
+    dataBase.insert(`${CONSTANTS.IDPREFIX}${CONSTANTS.KEYPREFIX}${idAddr}`, '{}');
+
+    expect(keyContainer.listIdentities()).to.be.deep.equal([idAddr]);
+    expect(keyContainer.listKeys()).to.not.include(idAddr);
+  });
 });
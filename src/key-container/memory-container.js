@@ -0,0 +1,19 @@
+const Db = require('../db/db');
+const MemoryBackend = require('../db/memory-backend');
+const LocalStorageContainer = require('./local-storage-container');
+
+/**
+ * Key container keeping the keys in memory, for servers and tests
+ * Keys are lost when the process ends
+ */
+class MemoryContainer extends LocalStorageContainer {
+  /**
+   * @param {Object} db - Database where the keys are stored, a new one in memory by default
+   */
+  constructor(db = new Db(new MemoryBackend())) {
+    super(db);
+    this.type = 'memory';
+  }
+}
+
+module.exports = MemoryContainer;
@@ -0,0 +1,212 @@
+const snarkjs = require('snarkjs');
+const utils = require('../utils');
+const merkleTree = require('../merkle-tree/merkle-tree');
+const smt = require('../sparse-merkle-tree/sparse-merkle-tree');
+const helpers = require('../sparse-merkle-tree/sparse-merkle-tree-utils');
+const mimc7 = require('../sparse-merkle-tree/mimc7');
+
+const { bigInt } = snarkjs;
+
+/**
+* Common interface of the merkle trees
+* Leaves are addressed by its hash index, so the same code works with any of the merkle trees
+*/
+class MerkleTreeInterface {
+  /**
+  * Adds an entry to the merkle tree
+  * @param {Object} entry - Entry in the format of the merkle tree
+  */
+  addEntry() {
+    throw new Error('Method addEntry not implemented');
+  }
+
+  /**
+  * Retrieve the entry placed on a given hash index
+  * @param {Buffer} hi - Hash index of the entry
+  * @returns {Object} - Entry in the format of the merkle tree, null if not found
+  */
+  getEntry() {
+    throw new Error('Method getEntry not implemented');
+  }
+
+  /**
+  * Generates the proof of existence or non-existence of the entry placed on a given hash index
+  * @param {Buffer} hi - Hash index of the entry
+  * @returns {Buffer} - Proof in the format of the merkle tree
+  */
+  generateProof() {
+    throw new Error('Method generateProof not implemented');
+  }
+
+  /**
+  * Verifies a proof of existence of an entry against the current root
+  * @param {Buffer} proof - Proof in the format of the merkle tree
+  * @param {Object} entry - Entry in the format of the merkle tree
+  * @returns {Bool} - Result of the proof verification
+  */
+  verify() {
+    throw new Error('Method verify not implemented');
+  }
+
+  /**
+  * Computes the hash index of an entry
+  * @param {Object} entry - Entry in the format of the merkle tree
+  * @returns {Buffer} - Hash index of the entry
+  */
+  hashIndex() {
+    throw new Error('Method hashIndex not implemented');
+  }
+
+  /**
+  * Get the root of the merkle tree
+  * @returns {Buffer} - Root of the merkle tree
+  */
+  root() {
+    throw new Error('Method root not implemented');
+  }
+}
+
+/**
+* Adapter of the legacy MerkleTree
+* Entries are leaf objects: { data: Buffer, indexLength: Number }
+*/
+class LegacyMerkleTreeAdapter extends MerkleTreeInterface {
+  /**
+  * @param {Object} mt - MerkleTree object
+  */
+  constructor(mt) {
+    super();
+    this.mt = mt;
+  }
+
+  addEntry(entry) {
+    this.mt.addClaim(entry);
+  }
+
+  getEntry(hi) {
+    return this.mt.getLeafByHi(hi);
+  }
+
+  generateProof(hi) {
+    return this.mt.generateProof(hi);
+  }
+
+  verify(proof, entry) {
+    const hi = this.hashIndex(entry);
+    const ht = utils.hashBytes(entry.data);
+    return merkleTree.checkProof(utils.bytesToHex(this.mt.root), utils.bytesToHex(proof),
+      utils.bytesToHex(hi), utils.bytesToHex(ht), this.mt.numLevels);
+  }
+
+  hashIndex(entry) {
+    return utils.hashBytes(entry.data.slice(0, entry.indexLength));
+  }
+
+  root() {
+    return this.mt.root;
+  }
+}
+
+/**
+* Adapter of the SparseMerkleTree
+* Entries are Entry objects or claims given as arrays of bigInt, retrieved as arrays of bigInt
+*/
+class SparseMerkleTreeAdapter extends MerkleTreeInterface {
+  /**
+  * @param {Object} mt - SparseMerkleTree object
+  */
+  constructor(mt) {
+    super();
+    this.mt = mt;
+  }
+
+  addEntry(entry) {
+    this.mt.addClaim(helpers.getClaimFromEntry(entry));
+  }
+
+  getEntry(hi) {
+    try {
+      return this.mt.getClaimByHashIndex(hi);
+    } catch (err) {
+      if (err instanceof smt.ErrEntryIndexNotFound) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  generateProof(hi) {
+    return this.mt.generateProofByHashIndex(hi);
+  }
+
+  verify(proof, entry) {
+    const proofObj = smt.Proof.fromBuffer(proof);
+    return proofObj.existence && proofObj.verify(this.mt.root, entry);
+  }
+
+  hashIndex(entry) {
+    return helpers.bigIntToBuffer(helpers.getHiHv(helpers.getClaimFromEntry(entry), this.mt.hasher)[0]);
+  }
+
+  root() {
+    return this.mt.root;
+  }
+}
+
+/**
+* Wraps a merkle tree with the adapter matching its class
+* @param {Object} mt - MerkleTree or SparseMerkleTree object
+* @returns {Object} - Merkle tree adapter
+*/
+function fromMerkleTree(mt) {
+  if (mt instanceof smt.SparseMerkleTree) {
+    return new SparseMerkleTreeAdapter(mt);
+  }
+  if (mt instanceof merkleTree.MerkleTree) {
+    return new LegacyMerkleTreeAdapter(mt);
+  }
+  throw new Error('Unknown merkle tree');
+}
+
+/**
+* Converts a legacy leaf into a claim of the sparse merkle tree
+* Index and data bytes are hashed into the field, so leaves keep a unique position
+* Claim is as follows: |0|hash of data bytes|0|hash of index bytes|
+* @param {Object} leaf - Legacy leaf data object
+* @returns {Array(bigInt)} - Claim for the sparse merkle tree
+*/
+function legacyLeafToClaim(leaf) {
+  return [
+    bigInt(0),
+    mimc7.hashBuffer(leaf.data.slice(leaf.indexLength)),
+    bigInt(0),
+    mimc7.hashBuffer(leaf.data.slice(0, leaf.indexLength)),
+  ];
+}
+
+/**
+* Re-inserts all the leaves of a legacy merkle tree into a sparse merkle tree
+* @param {Object} legacyTree - MerkleTree object to read the leaves from
+* @param {Object} sparseTree - SparseMerkleTree object where claims are added
+* @param {Function} converter - Converts a legacy leaf into an Entry or a claim, legacyLeafToClaim by default
+* @returns {Object} - New root of the sparse merkle tree and number of entries migrated
+*/
+function migrateLegacyTree(legacyTree, sparseTree, converter = legacyLeafToClaim) {
+  const claims = [];
+  legacyTree.walk((key, nodeValue) => {
+    if (nodeValue.flag) {
+      claims.push(helpers.getClaimFromEntry(converter(nodeValue.data)));
+    }
+  });
+  sparseTree.addClaims(claims);
+  return { root: sparseTree.root, numEntries: claims.length };
+}
+
+module.exports = {
+  legacyLeafToClaim,
+  migrateLegacyTree,
+  MerkleTreeInterface,
+  LegacyMerkleTreeAdapter,
+  SparseMerkleTreeAdapter,
+  fromMerkleTree,
+};
@@ -0,0 +1,96 @@
+const chai = require('chai');
+const snarkjs = require('snarkjs');
+const iden3 = require('../index');
+
+const { bigInt } = snarkjs;
+const { expect } = chai;
+const { merkleTreeInterface } = iden3;
+
+const db = new iden3.Db();
+const idAddr = '0xq5soghj264eax651ghq1651485ccaxas98461251d5f1sdf6c51c5d1c6sd1c651-interface-';
+
+function legacyLeaf(i) {
+  return {
+    data: Buffer.from(`this is the test claim number ${i}`),
+    indexLength: 31,
+  };
+}
+
+function smtClaim(i) {
+  return [bigInt(0), bigInt(i + 100), bigInt(0), bigInt(i)];
+}
+
+// Same checks run on both merkle trees through the common interface
+function checkInterface(mt, entries, entryMissing) {
+  const rootEmpty = iden3.utils.bytesToHex(mt.root());
+  entries.forEach(entry => mt.addEntry(entry));
+  expect(iden3.utils.bytesToHex(mt.root())).to.be.not.equal(rootEmpty);
+  entries.forEach((entry) => {
+    const hi = mt.hashIndex(entry);
+    expect(mt.getEntry(hi)).to.be.not.equal(null);
+    expect(mt.verify(mt.generateProof(hi), entry)).to.be.equal(true);
+  });
+  const hiMissing = mt.hashIndex(entryMissing);
+  expect(mt.getEntry(hiMissing)).to.be.equal(null);
+  expect(mt.verify(mt.generateProof(hiMissing), entryMissing)).to.be.equal(false);
+}
+
+describe('[merkle-tree-interface] Adapters', () => {
+  it('legacy merkle tree', () => {
+    const mt = merkleTreeInterface.fromMerkleTree(new iden3.merkleTree.MerkleTree(db, 140, `${idAddr}legacy-`));
+    expect(mt).to.be.instanceof(merkleTreeInterface.LegacyMerkleTreeAdapter);
+    const entries = [0, 1, 2, 3].map(legacyLeaf);
+    checkInterface(mt, entries, legacyLeaf(4));
+    const entry = mt.getEntry(mt.hashIndex(entries[2]));
+    expect(Buffer.compare(entry.data, entries[2].data)).to.be.equal(0);
+    expect(entry.indexLength).to.be.equal(31);
+  });
+  it('sparse merkle tree', () => {
+    const mt = merkleTreeInterface.fromMerkleTree(new iden3.sparseMerkleTree.SparseMerkleTree(db, `${idAddr}sparse-`));
+    expect(mt).to.be.instanceof(merkleTreeInterface.SparseMerkleTreeAdapter);
+    const entries = [0, 1, 2, 3].map(smtClaim);
+    checkInterface(mt, entries, smtClaim(4));
+    const entry = mt.getEntry(mt.hashIndex(entries[2]));
+    expect(entry[1].equals(bigInt(102))).to.be.equal(true);
+  });
+  it('unknown merkle tree', () => {
+    expect(() => merkleTreeInterface.fromMerkleTree({})).to.throw('Unknown merkle tree');
+    expect(() => new merkleTreeInterface.MerkleTreeInterface().root()).to.throw('Method root not implemented');
+  });
+});
+
+describe('[merkle-tree-interface] Migrate legacy merkle tree', () => {
+  it('re-insert legacy leaves into a sparse merkle tree', () => {
+    const legacy = new iden3.merkleTree.MerkleTree(db, 140, `${idAddr}migrate-legacy-`);
+    const leaves = [];
+    for (let i = 0; i < 6; i++) {
+      leaves.push(legacyLeaf(i));
+      legacy.addClaim(leaves[i]);
+    }
+    const sparse = new iden3.sparseMerkleTree.SparseMerkleTree(db, `${idAddr}migrate-sparse-`);
+    const result = merkleTreeInterface.migrateLegacyTree(legacy, sparse);
+    expect(result.numEntries).to.be.equal(6);
+    expect(iden3.utils.bytesToHex(result.root)).to.be.equal(iden3.utils.bytesToHex(sparse.root));
+
+    // Same claims added one by one lead to the same root
+    const expected = new iden3.sparseMerkleTree.SparseMerkleTree(db, `${idAddr}migrate-expected-`);
+    leaves.forEach(leaf => expected.addClaim(merkleTreeInterface.legacyLeafToClaim(leaf)));
+    expect(iden3.utils.bytesToHex(result.root)).to.be.equal(iden3.utils.bytesToHex(expected.root));
+
+    const mt = merkleTreeInterface.fromMerkleTree(sparse);
+    const claim = merkleTreeInterface.legacyLeafToClaim(leaves[3]);
+    expect(mt.verify(mt.generateProof(mt.hashIndex(claim)), claim)).to.be.equal(true);
+  });
+  it('custom converter', () => {
+    const legacy = new iden3.merkleTree.MerkleTree(db, 140, `${idAddr}converter-legacy-`);
+    legacy.addClaim(legacyLeaf(0));
+    legacy.addClaim(legacyLeaf(1));
+    const sparse = new iden3.sparseMerkleTree.SparseMerkleTree(db, `${idAddr}converter-sparse-`);
+    // Last character of the leaves tells them apart
+    const converter = leaf => [bigInt(0), bigInt(0), bigInt(0), bigInt(leaf.data[leaf.data.length - 1])];
+    expect(merkleTreeInterface.migrateLegacyTree(legacy, sparse, converter).numEntries).to.be.equal(2);
+    const mt = merkleTreeInterface.fromMerkleTree(sparse);
+    const claim = converter(legacyLeaf(1));
+    expect(mt.getEntry(mt.hashIndex(claim))[3].equals(bigInt(49))).to.be.equal(true);
+  });
+});
@@ -246,6 +246,54 @@ class MerkleTree {
     return returnArray;
   }
 
+  /**
+  * Generates the merkle proof of the leaf in the position hi, flagging whether the leaf exists
+  * Proof is as follows: |flags|depth|siblings indicator|n*siblings|hi aux|ht aux|
+  * flags: bit 0 set on a non-existence proof, bit 1 set if the position holds a different leaf
+  * depth: level where the leaf, the different leaf or the empty node is placed
+  * siblings indicator: 32 bytes, bit i set if the sibling on level i is not empty
+  * siblings: non-empty siblings from the root to the depth
+  * hi aux, ht aux: hash index and hash total of the different leaf, only if flags bit 1 is set
+  * Proofs of existence are verified with checkProofWithFlags, proofs of non-existence with checkNonExistence
+  * @param {Uint8Array(32)} hi - Hash of the position of the leaf
+  * @returns {Buffer} - Merkle tree proof of existence or non-existence
+  */
+  generateProofWithFlags(hi) {
+    const positionClaim = helpers.hashToPosition(hi, this.numLayers);
+    const siblingsIndicator = Buffer.alloc(32);
+    const startIndex = siblingsIndicator.length - 1;
+    const siblingArray = [];
+    let key = this.root;
+    let nodeValue = getNodeValue(this.db, key, this.prefix);
+    let depth = 0;
+    // Go down until a leaf or an empty node is found
+    while (depth < this.numLayers && nodeValue !== emptyNodeValue && !nodeValue.flag) {
+      const sibling = positionClaim[depth] ? nodeValue.data[0] : nodeValue.data[1];
+      if (Buffer.compare(sibling, emptyNodeValue) !== 0) {
+        const numByte = Math.floor(depth / 8);
+        siblingsIndicator[startIndex - numByte] = helpers.setBit(siblingsIndicator[startIndex - numByte], depth % 8);
+        siblingArray.push(sibling);
+      }
+      key = positionClaim[depth] ? nodeValue.data[1] : nodeValue.data[0];
+      nodeValue = getNodeValue(this.db, key, this.prefix);
+      depth += 1;
+    }
+
+    let flags = 0;
+    let nodeAux = [];
+    if (nodeValue === emptyNodeValue) {
+      flags = 1;
+    } else if (nodeValue.flag) {
+      const leaf = nodeValue.data;
+      const hiLeaf = utils.hashBytes(leaf.data.slice(0, leaf.indexLength));
+      if (Buffer.compare(hiLeaf, hi) !== 0) {
+        flags = 3;
+        nodeAux = [hiLeaf, utils.hashBytes(leaf.data)];
+      }
+    }
+    return Buffer.concat([Buffer.from([flags, depth]), siblingsIndicator, ...siblingArray, ...nodeAux]);
+  }
+
   /**
   * Retrieve data for a given leaf position
   * @param {Uint8Array(32)} hi - Hash of the position of the leaf
@@ -266,6 +314,45 @@ class MerkleTree {
     }
     return emptyNodeValue;
   }
+
+  /**
+  * Retrieve the leaf placed on the position hi
+  * @param {Uint8Array(32)} hi - Hash of the position of the leaf
+  * @returns {Object} - Leaf data object, null if there is no leaf with that hash index
+  */
+  getLeafByHi(hi) {
+    const positionClaim = helpers.hashToPosition(hi, this.numLayers);
+    let key = this.root;
+    for (let i = 0; i < this.numLayers; i++) {
+      const nodeValue = getNodeValue(this.db, key, this.prefix);
+      if (nodeValue === emptyNodeValue) { return null; }
+      if (nodeValue.flag) {
+        const leaf = nodeValue.data;
+        const hiLeaf = utils.hashBytes(leaf.data.slice(0, leaf.indexLength));
+        return (Buffer.compare(hiLeaf, hi) === 0) ? leaf : null;
+      }
+      key = positionClaim[i] ? nodeValue.data[1] : nodeValue.data[0];
+    }
+    return null;
+  }
+
+  /**
+  * Go through all the nodes stored, starting from the root and visiting left children first
+  * @param {Function} callback - Function called with the key and the value of every node
+  */
+  walk(callback) {
+    const pending = [this.root];
+    while (pending.length > 0) {
+      const key = pending.pop();
+      const nodeValue = getNodeValue(this.db, key, this.prefix);
+      if (nodeValue !== emptyNodeValue) {
+        callback(key, nodeValue);
+        if (!nodeValue.flag) {
+          pending.push(nodeValue.data[1], nodeValue.data[0]);
+        }
+      }
+    }
+  }
 }
 
 /**
@@ -324,9 +411,122 @@ function checkProof(rootHex, proofHex, hiHex, htHex, numLevels) {
   return Buffer.compare(nodeHash, r) === 0;
 }
 
+/**
+* Parse a merkle proof generated with flags until the end of the siblings
+* @param  {Buffer} proof - Merkle tree proof with flags
+* @returns  {Object} - { flags, depth, siblings, pos } where siblings are sorted from the root and pos is where they end
+*/
+function parseProofWithFlags(proof) {
+  const hashLength = emptyNodeValue.length;
+  const flags = proof[0];
+  const depth = proof[1];
+  const empties = proof.slice(2, 2 + hashLength);
+  // Get all siblings and store into sibling array
+  const siblings = [];
+  let pos = 2 + hashLength;
+  for (let i = 0; i < depth; i++) {
+    const numByte = Math.floor(i / 8);
+    if (helpers.getBit(empties[hashLength - 1 - numByte], i % 8)) {
+      siblings.push(proof.slice(pos, pos + hashLength));
+      pos += hashLength;
+    } else {
+      siblings.push(emptyNodeValue);
+    }
+  }
+  return {
+    flags, depth, siblings, pos,
+  };
+}
+
+/**
+* Calculate the root of the merkle tree going up from the node placed at the depth of the siblings
+* @param  {Buffer} nodeHash - Hash of the node at the depth of the siblings
+* @param  {Array(Buffer)} siblings - Siblings sorted from the root
+* @param  {Array(Bool)} path - Path of the node
+* @returns  {Buffer} - Root of the merkle tree
+*/
+function rootFromSiblings(nodeHash, siblings, path) {
+  let hash = nodeHash;
+  for (let index = siblings.length - 1; index >= 0; index--) {
+    const sibling = siblings[index];
+    if ((Buffer.compare(hash, emptyNodeValue) === 0) && (Buffer.compare(sibling, emptyNodeValue) === 0)) {
+      hash = emptyNodeValue;
+    } else {
+      const nodeTmp = path[index] ? [sibling, hash] : [hash, sibling];
+      hash = utils.hashBytes(Buffer.concat(nodeTmp));
+    }
+  }
+  return hash;
+}
+
+/**
+* Verifies a merkle proof of existence generated with flags
+* @param  {String} rootHex - Hexadecimal string of the merkle tree root
+* @param  {String} proofHex - Hexadecimal string of the merkle tree proof with flags
+* @param  {String} hiHex - Hexadecimal string of the leaf hash index position
+* @param  {String} htHex - Hexadecimal string of the leaf hash data
+* @param  {Number} numLevels - Number of levels of the merkle tree
+* @returns  {Bool} - Result of the merkle tree verification
+*/
+function checkProofWithFlags(rootHex, proofHex, hiHex, htHex, numLevels) {
+  const r = utils.hexToBytes(rootHex);
+  const proof = utils.hexToBytes(proofHex);
+  const ht = utils.hexToBytes(htHex);
+  const numLayers = numLevels - 1;
+  const path = helpers.hashToPosition(utils.hexToBytes(hiHex), numLayers);
+  const {
+    flags, depth, siblings, pos,
+  } = parseProofWithFlags(proof);
+
+  if (flags !== 0 || depth > numLayers || pos !== proof.length) { return false; }
+  const nodeHash = getCutNodeHash(ht, path, numLayers - depth, numLayers);
+  return Buffer.compare(rootFromSiblings(nodeHash, siblings, path), r) === 0;
+}
+
+/**
+* Verifies a merkle proof of non-existence generated with flags
+* Position hi must hold either an empty node or a different leaf sharing the path until the proof depth
+* @param  {String} rootHex - Hexadecimal string of the merkle tree root
+* @param  {String} proofHex - Hexadecimal string of the merkle tree proof with flags
+* @param  {String} hiHex - Hexadecimal string of the leaf hash index position
+* @param  {Number} numLevels - Number of levels of the merkle tree
+* @returns  {Bool} - Result of the merkle tree verification
+*/
+function checkNonExistence(rootHex, proofHex, hiHex, numLevels) {
+  const r = utils.hexToBytes(rootHex);
+  const proof = utils.hexToBytes(proofHex);
+  const hi = utils.hexToBytes(hiHex);
+  const hashLength = emptyNodeValue.length;
+  const numLayers = numLevels - 1;
+  const path = helpers.hashToPosition(hi, numLayers);
+  const parsed = parseProofWithFlags(proof);
+  const { flags, depth, siblings } = parsed;
+  let { pos } = parsed;
+
+  if (!(flags & 1) || depth > numLayers) { return false; }
+  let nodeHash = emptyNodeValue;
+  if (flags & 2) {
+    const hiAux = proof.slice(pos, pos + hashLength);
+    const htAux = proof.slice(pos + hashLength, pos + 2 * hashLength);
+    pos += 2 * hashLength;
+    if (Buffer.compare(hiAux, hi) === 0) { return false; }
+    // Different leaf must be placed on the same path
+    const pathAux = helpers.hashToPosition(hiAux, numLayers);
+    for (let i = 0; i < depth; i++) {
+      if (pathAux[i] !== path[i]) { return false; }
+    }
+    nodeHash = getCutNodeHash(htAux, pathAux, numLayers - depth, numLayers);
+  }
+  if (pos !== proof.length) { return false; }
+
+  // Calculate root of the merkle tree from the position hi
+  return Buffer.compare(rootFromSiblings(nodeHash, siblings, path), r) === 0;
+}
 
 module.exports = {
   MerkleTree,
   emptyNodeValue,
   checkProof,
+  checkProofWithFlags,
+  checkNonExistence,
 };
@@ -252,3 +252,98 @@ describe('[merkle-tree] Add 100 claims', () => {
     expect(iden3.utils.bytesToHex(mt.root)).to.be.equal('0x823062a650962611926e30e54f28ea08608eccbbbedf30e20cd9457243df20f9');
   });
 });
+
+describe('[merkle-tree] Non-existence proofs', () => {
+  const numLevels = 140;
+  const idAddrNonExistence = `${idAddr}-non-existence`;
+
+  // Finds a hash index not added to the tree whose proof is flagged as expected
+  function findHi(mt, flags) {
+    for (let i = 0; i < 100; i++) {
+      const hi = iden3.utils.hashBytes(Buffer.from(`${i} not in the tree`));
+      if (mt.generateProofWithFlags(hi)[0] === flags) {
+        return hi;
+      }
+    }
+    throw new Error('Hash index not found');
+  }
+
+  it('empty tree', () => {
+    const mt = new iden3.merkleTree.MerkleTree(db, numLevels, `${idAddrNonExistence}-empty`);
+    const hi = iden3.utils.hashBytes(Buffer.from('not in the tree'));
+    const proof = mt.generateProofWithFlags(hi);
+    expect(proof[0]).to.be.equal(1);
+    expect(proof[1]).to.be.equal(0);
+    const check = iden3.merkleTree.checkNonExistence(iden3.utils.bytesToHex(mt.root), iden3.utils.bytesToHex(proof),
+      iden3.utils.bytesToHex(hi), numLevels);
+    expect(check).to.be.equal(true);
+  });
+
+  describe('tree with claims', () => {
+    let mt;
+    let rootHex;
+    before('Add claims', () => {
+      mt = new iden3.merkleTree.MerkleTree(db, numLevels, idAddrNonExistence);
+      for (let i = 0; i < 8; i++) {
+        mt.addClaim({ data: Buffer.from(`${i} this is a test claim`), indexLength: 15 });
+      }
+      rootHex = iden3.utils.bytesToHex(mt.root);
+    });
+
+    it('empty slot', () => {
+      const hi = findHi(mt, 1);
+      const proof = mt.generateProofWithFlags(hi);
+      expect(proof[1]).to.be.above(0);
+      const check = iden3.merkleTree.checkNonExistence(rootHex, iden3.utils.bytesToHex(proof), iden3.utils.bytesToHex(hi), numLevels);
+      expect(check).to.be.equal(true);
+      // Proof is not valid against another root
+      const emptyRootHex = iden3.utils.bytesToHex(iden3.merkleTree.emptyNodeValue);
+      const checkRoot = iden3.merkleTree.checkNonExistence(emptyRootHex, iden3.utils.bytesToHex(proof),
+        iden3.utils.bytesToHex(hi), numLevels);
+      expect(checkRoot).to.be.equal(false);
+    });
+
+    it('different leaf', () => {
+      const hi = findHi(mt, 3);
+      const proof = mt.generateProofWithFlags(hi);
+      const hiAux = proof.slice(proof.length - 64, proof.length - 32);
+      const leaf = mt.getLeafByHi(hiAux);
+      expect(leaf).to.be.not.equal(null);
+      expect(proof.slice(proof.length - 32)).to.be.deep.equal(iden3.utils.hashBytes(leaf.data));
+      const check = iden3.merkleTree.checkNonExistence(rootHex, iden3.utils.bytesToHex(proof), iden3.utils.bytesToHex(hi), numLevels);
+      expect(check).to.be.equal(true);
+      // Different leaf is not on the path of another hash index
+      const hiOther = findHi(mt, 1);
+      const checkOther = iden3.merkleTree.checkNonExistence(rootHex, iden3.utils.bytesToHex(proof),
+        iden3.utils.bytesToHex(hiOther), numLevels);
+      expect(checkOther).to.be.equal(false);
+      // Different leaf can not be the leaf itself
+      const checkLeaf = iden3.merkleTree.checkNonExistence(rootHex, iden3.utils.bytesToHex(proof),
+        iden3.utils.bytesToHex(hiAux), numLevels);
+      expect(checkLeaf).to.be.equal(false);
+    });
+
+    it('existing leaf', () => {
+      const claim = { data: Buffer.from('3 this is a test claim'), indexLength: 15 };
+      const hi = iden3.utils.hashBytes(claim.data.slice(0, claim.indexLength));
+      const proof = mt.generateProofWithFlags(hi);
+      expect(proof[0]).to.be.equal(0);
+      const proofHex = iden3.utils.bytesToHex(proof);
+      const hiHex = iden3.utils.bytesToHex(hi);
+      const htHex = iden3.utils.bytesToHex(iden3.utils.hashBytes(claim.data));
+      expect(iden3.merkleTree.checkNonExistence(rootHex, proofHex, hiHex, numLevels)).to.be.equal(false);
+      expect(iden3.merkleTree.checkProofWithFlags(rootHex, proofHex, hiHex, htHex, numLevels)).to.be.equal(true);
+      // Proof is not valid for another leaf data
+      const htOtherHex = iden3.utils.bytesToHex(iden3.utils.hashBytes(Buffer.from('3 this is a test claim modified')));
+      expect(iden3.merkleTree.checkProofWithFlags(rootHex, proofHex, hiHex, htOtherHex, numLevels)).to.be.equal(false);
+    });
+
+    it('proof of non-existence is not a proof of existence', () => {
+      const hi = findHi(mt, 1);
+      const proofHex = iden3.utils.bytesToHex(mt.generateProofWithFlags(hi));
+      const check = iden3.merkleTree.checkProofWithFlags(rootHex, proofHex, iden3.utils.bytesToHex(hi),
+        iden3.utils.bytesToHex(iden3.merkleTree.emptyNodeValue), numLevels);
+      expect(check).to.be.equal(false);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const helpers = require('./sparse-merkle-tree-utils');
+const Proof = require('./proof');
+
+/**
+* Generates the input signals of a sparse merkle tree verifier circuit
+* Circuit checks inclusion (fnc = 0) or exclusion (fnc = 1) of the leaf Hash[1, key, value]
+* All signals are given as decimal strings, ready to compute the witness
+* Input signals are as follows:
+* {String} enabled - Verification enabled, always 1
+* {String} fnc - 0 for inclusion, 1 for exclusion
+* {String} root - Root of the merkle tree
+* {Array(String)} siblings - Siblings padded with zeros until maxLevels
+* {String} oldKey - Hash index of the leaf found on an exclusion, 0 otherwise
+* {String} oldValue - Hash value of the leaf found on an exclusion, 0 otherwise
+* {String} isOld0 - 1 if there is no leaf on the position of an exclusion, 0 otherwise
+* {String} key - Hash index of the entry
+* {String} value - Hash value of the entry
+* @param {Object} tree - SparseMerkleTree where the proof is generated
+* @param {Object} entry - Entry object or array of bigInt representing the claim
+* @param {Number} maxLevels - Number of levels of the circuit, maximum levels of the tree by default
+* @returns {Object} - Input signals of the circuit
+*/
+function getCircuitInputs(tree, entry, maxLevels = tree.maxLevels) {
+  const claim = helpers.getClaimFromEntry(entry);
+  const hashes = helpers.getHiHv(claim, tree.hasher);
+  const proof = Proof.fromBuffer(tree.generateProof(claim.slice(2)));
+  let oldKey = '0';
+  let oldValue = '0';
+  let isOld0 = '0';
+  if (!proof.existence) {
+    if (proof.nodeAux !== undefined) {
+      oldKey = helpers.bufferToBigInt(proof.nodeAux.hi).toString();
+      oldValue = helpers.bufferToBigInt(proof.nodeAux.hv).toString();
+    } else {
+      isOld0 = '1';
+    }
+  }
+  return {
+    enabled: '1',
+    fnc: proof.existence ? '0' : '1',
+    root: helpers.bufferToBigInt(tree.root).toString(),
+    siblings: proof.getSiblingsPadded(maxLevels).map(sibling => sibling.toString()),
+    oldKey,
+    oldValue,
+    isOld0,
+    key: hashes[0].toString(),
+    value: hashes[1].toString(),
+  };
+}
+
+module.exports = {
+  getCircuitInputs,
+};
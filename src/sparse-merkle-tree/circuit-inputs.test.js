@@ -0,0 +1,73 @@
+const chai = require('chai');
+const snarkjs = require('snarkjs');
+const iden3 = require('../index');
+const Entry = require('../claim/entry/entry');
+const helpers = require('./sparse-merkle-tree-utils');
+const { getCircuitInputs } = require('./circuit-inputs');
+
+const { bigInt } = snarkjs;
+const { expect } = chai;
+
+const db = new iden3.Db();
+const idAddr = '0xq5soghj264eax651ghq1651485ccaxas98461251d5f1sdf6c51c5d1c6sd1c651-circuit-';
+const maxLevels = 10;
+
+describe('[sparse-merkle-tree circuit-inputs] Generate circuit inputs', () => {
+  let mt;
+  before('Create merkle tree', () => {
+    mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const claims = [];
+    for (let i = 0; i < 8; i++) {
+      claims.push([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    }
+    mt.addClaims(claims);
+  });
+
+  it('inclusion of an entry', () => {
+    const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(4)];
+    const entry = new Entry();
+    entry.elements = helpers.getArrayBuffFromArrayBigInt(claim);
+    const inputs = getCircuitInputs(mt, entry, maxLevels);
+    const proof = iden3.sparseMerkleTree.Proof.fromBuffer(mt.generateProof(claim.slice(2)));
+    expect(inputs.enabled).to.be.equal('1');
+    expect(inputs.fnc).to.be.equal('0');
+    expect(inputs.root).to.be.equal(helpers.bufferToBigInt(mt.root).toString());
+    expect(inputs.siblings.length).to.be.equal(maxLevels);
+    expect(inputs.siblings.slice(0, proof.depth)).to.be.deep.equal(proof.siblings.map(s => helpers.bufferToBigInt(s).toString()));
+    expect(inputs.siblings.slice(proof.depth).every(s => s === '0')).to.be.equal(true);
+    expect(inputs.isOld0).to.be.equal('0');
+    expect(inputs.oldKey).to.be.equal('0');
+    expect(inputs.oldValue).to.be.equal('0');
+    expect(inputs.key).to.be.equal(helpers.bufferToBigInt(entry.hi()).toString());
+    expect(inputs.value).to.be.equal(helpers.bufferToBigInt(entry.hv()).toString());
+  });
+  it('exclusion with a different leaf on the path', () => {
+    const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(10)];
+    const inputs = getCircuitInputs(mt, claim, maxLevels);
+    const proof = iden3.sparseMerkleTree.Proof.fromBuffer(mt.generateProof(claim.slice(2)));
+    expect(proof.nodeAux).to.be.not.equal(undefined);
+    expect(inputs.fnc).to.be.equal('1');
+    expect(inputs.isOld0).to.be.equal('0');
+    expect(inputs.oldKey).to.be.equal(helpers.bufferToBigInt(proof.nodeAux.hi).toString());
+    expect(inputs.oldValue).to.be.equal(helpers.bufferToBigInt(proof.nodeAux.hv).toString());
+    expect(inputs.key).to.be.equal(helpers.getHiHv(claim)[0].toString());
+  });
+  it('exclusion with an empty leaf on the path', () => {
+    const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(12)];
+    const proof = iden3.sparseMerkleTree.Proof.fromBuffer(mt.generateProof(claim.slice(2)));
+    expect(proof.nodeAux).to.be.equal(undefined);
+    const inputs = getCircuitInputs(mt, claim, maxLevels);
+    expect(inputs.fnc).to.be.equal('1');
+    expect(inputs.isOld0).to.be.equal('1');
+    expect(inputs.oldKey).to.be.equal('0');
+    expect(inputs.oldValue).to.be.equal('0');
+  });
+  it('siblings padded until tree maximum levels by default', () => {
+    const inputs = getCircuitInputs(mt, [bigInt(0), bigInt(0), bigInt(0), bigInt(1)]);
+    expect(inputs.siblings.length).to.be.equal(mt.maxLevels);
+  });
+  it('circuit levels lower than proof depth', () => {
+    const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(1)];
+    expect(() => getCircuitInputs(mt, claim, 1)).to.throw('Proof depth is greater than maximum levels');
+  });
+});
@@ -0,0 +1,72 @@
+const Web3 = require('web3');
+const snarkjs = require('snarkjs');
+const utils = require('../utils');
+const mimc7 = require('./mimc7');
+const poseidon = require('./poseidon');
+
+const { bigInt } = snarkjs;
+
+/**
+* Hash functions the sparse merkle tree can be built with
+* Every hasher is an object as follows:
+* {Number} id - Identifier recorded on the proofs, it must fit into 3 bits
+* {String} name - Name recorded on the proofs serialized as JSON
+* {Function} multiHash - Hash an array of bigInt into a bigInt
+*/
+
+/**
+* MiMC7 hasher, matching the circuits of the merkle tree
+*/
+const mimc7Hasher = {
+  id: 0,
+  name: 'mimc7',
+  multiHash(arr) {
+    return mimc7.multiHash(arr);
+  },
+};
+
+/**
+* Keccak256 hasher, matching solidity keccak256(abi.encodePacked(uint256[]))
+* Each element is encoded on 32 bytes, big-endian
+*/
+const keccak256Hasher = {
+  id: 1,
+  name: 'keccak256',
+  multiHash(arr) {
+    const buff = Buffer.concat(arr.map(e => Buffer.from(bigInt(e).toString(16).padStart(64, '0'), 'hex')));
+    return bigInt(Web3.utils.toBN(utils.bytesToHex(utils.hashBytes(buff))).toString());
+  },
+};
+
+/**
+* Poseidon hasher, matching the newer circuits
+*/
+const poseidonHasher = {
+  id: 2,
+  name: 'poseidon',
+  multiHash(arr) {
+    return poseidon.multiHash(arr);
+  },
+};
+
+const hashers = [mimc7Hasher, keccak256Hasher, poseidonHasher];
+
+/**
+* Retrieve a hasher given its identifier or its name
+* @param {Number|String} ref - Identifier or name of the hasher
+* @returns {Object} - Hasher object
+*/
+function getHasher(ref) {
+  const hasher = hashers.find(h => h.id === ref || h.name === ref);
+  if (hasher === undefined) {
+    throw new Error(`Unknown hasher: ${ref}`);
+  }
+  return hasher;
+}
+
+module.exports = {
+  mimc7: mimc7Hasher,
+  keccak256: keccak256Hasher,
+  poseidon: poseidonHasher,
+  getHasher,
+};
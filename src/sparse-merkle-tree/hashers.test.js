@@ -0,0 +1,29 @@
+const chai = require('chai');
+const snarkjs = require('snarkjs');
+const hashers = require('./hashers');
+const mimc7 = require('./mimc7');
+const poseidon = require('./poseidon');
+
+const { bigInt } = snarkjs;
+const { expect } = chai;
+
+describe('[sparse-merkle-tree hashers] Hash functions', () => {
+  it('mimc7 hasher', () => {
+    const arr = [bigInt(12), bigInt(45)];
+    expect(hashers.mimc7.multiHash(arr).equals(mimc7.multiHash(arr))).to.be.equal(true);
+  });
+  it('keccak256 hasher matches solidity abi encoding of uint256', () => {
+    const hash = hashers.keccak256.multiHash([bigInt(1), bigInt(2)]);
+    expect(hash.toString(16)).to.be.equal('e90b7bceb6e7df5418fb78d8ee546e97c83a08bbccc01a0644d599ccd2a7c2e0');
+  });
+  it('poseidon hasher', () => {
+    const arr = [bigInt(12), bigInt(45)];
+    expect(hashers.poseidon.multiHash(arr).equals(poseidon.multiHash(arr))).to.be.equal(true);
+  });
+  it('get hasher by identifier or name', () => {
+    expect(hashers.getHasher(0)).to.be.equal(hashers.mimc7);
+    expect(hashers.getHasher('keccak256')).to.be.equal(hashers.keccak256);
+    expect(hashers.getHasher(2)).to.be.equal(hashers.poseidon);
+    expect(() => hashers.getHasher('sha1')).to.throw('Unknown hasher: sha1');
+  });
+});
@@ -1,3 +1,4 @@
+/* global BigInt */
 const Web3 = require('web3');
 const snarkjs = require('snarkjs');
 
@@ -34,8 +35,14 @@ exports.getConstants = (seed, nRounds) => {
 };
 
 const cts = exports.getConstants(SEED, 91);
+// IV is computed just once
+const iv = exports.getIV();
 
-exports.hash = (_xIn, _k) => {
+/**
+ * Reference implementation using snarkjs field operations
+ * Kept as fallback for environments without native BigInt
+ */
+exports.hashReference = (_xIn, _k) => {
   const xIn = bigInt(_xIn);
   const k = bigInt(_k);
   let r;
@@ -47,10 +54,98 @@ exports.hash = (_xIn, _k) => {
   return F.affine(F.add(r, k));
 };
 
-exports.multiHash = (arr) => {
+exports.multiHashReference = (arr) => {
   let r = exports.getIV();
   for (let i = 0; i < arr.length; i++) {
-    r = exports.hash(r, bigInt(arr[i]));
+    r = exports.hashReference(r, bigInt(arr[i]));
   }
   return r;
 };
+
+// Native BigInt versions of the field prime, constants and IV
+const hasNativeBigInt = typeof BigInt === 'function';
+const qNative = hasNativeBigInt ? BigInt(F.q.toString()) : undefined;
+const ctsNative = hasNativeBigInt ? cts.map(c => BigInt(c.toString())) : undefined;
+const ivNative = hasNativeBigInt ? BigInt(iv.toString()) : undefined;
+
+/**
+ * MiMC7 round function over native BigInt, inputs must be already reduced
+ * Exponentiation by 7 is computed as t^4 * t^2 * t
+ */
+const hashNative = (xIn, k) => {
+  let r;
+  for (let i = 0; i < NROUNDS; i++) {
+    const t = (i === 0) ? (xIn + k) % qNative : (r + k + ctsNative[i]) % qNative;
+    const t2 = (t * t) % qNative;
+    const t4 = (t2 * t2) % qNative;
+    r = (((t4 * t2) % qNative) * t) % qNative;
+  }
+  return (r + k) % qNative;
+};
+
+const toNative = e => BigInt(bigInt(e).toString()) % qNative;
+
+exports.hash = (_xIn, _k) => {
+  if (!hasNativeBigInt) {
+    return exports.hashReference(_xIn, _k);
+  }
+  return bigInt(hashNative(toNative(_xIn), toNative(_k)).toString());
+};
+
+/**
+ * Multi-hash in Miyaguchi-Preneel mode, as circomlib computes it
+ * r_i = r_(i-1) + x_i + hash(x_i, r_(i-1)), starting from the key
+ */
+const multiHashKey = (arr, key) => {
+  if (!hasNativeBigInt) {
+    let r = bigInt(key);
+    for (let i = 0; i < arr.length; i++) {
+      r = F.add(F.add(r, bigInt(arr[i])), exports.hashReference(bigInt(arr[i]), r));
+    }
+    return F.affine(r);
+  }
+  let r = toNative(key);
+  for (let i = 0; i < arr.length; i++) {
+    const x = toNative(arr[i]);
+    r = (r + x + hashNative(x, r)) % qNative;
+  }
+  return bigInt(r.toString());
+};
+
+/**
+ * Without key, elements are chained from the IV, as the merkle tree hashes its nodes
+ * With a key, it matches circomlib MiMC7 multiHash
+ */
+exports.multiHash = (arr, key) => {
+  if (typeof key !== 'undefined') {
+    return multiHashKey(arr, key);
+  }
+  if (!hasNativeBigInt) {
+    let r = iv;
+    for (let i = 0; i < arr.length; i++) {
+      r = exports.hashReference(r, bigInt(arr[i]));
+    }
+    return r;
+  }
+  let r = ivNative;
+  for (let i = 0; i < arr.length; i++) {
+    r = hashNative(r, toNative(arr[i]));
+  }
+  return bigInt(r.toString());
+};
+
+/**
+ * Hash a byte string of any length into the field
+ * Bytes are packed into 31-byte big-endian elements, so all of them fit into the field,
+ * preceded by the number of bytes to tell apart inputs ending with zeros.
+ * Elements are hashed by multiHash with key 0
+ */
+exports.hashBuffer = (bytes) => {
+  const buff = Buffer.from(bytes);
+  const elements = [bigInt(buff.length)];
+  for (let i = 0; i < buff.length; i += 31) {
+    const chunk = buff.slice(i, i + 31);
+    elements.push(bigInt(Web3.utils.toBN(`0x${chunk.toString('hex')}`).toString()));
+  }
+  return exports.multiHash(elements, bigInt(0));
+};
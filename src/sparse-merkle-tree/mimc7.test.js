@@ -0,0 +1,46 @@
+const chai = require('chai');
+const snarkjs = require('snarkjs');
+const mimc7 = require('./mimc7');
+
+const { bigInt } = snarkjs;
+const { expect } = chai;
+
+describe('[mimc7] MiMC7 hash function', () => {
+  it('hash matches reference implementation', () => {
+    // Inputs greater than the field prime are reduced as well
+    const inputs = [
+      [bigInt(0), bigInt(0)],
+      [bigInt(12), bigInt(45)],
+      [bigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617'), bigInt(1)],
+      [bigInt('115792089237316195423570985008687907853269984665640564039457584007913129639935'), bigInt(7)],
+    ];
+    for (let i = 0; i < inputs.length; i++) {
+      const hash = mimc7.hash(inputs[i][0], inputs[i][1]);
+      expect(hash.equals(mimc7.hashReference(inputs[i][0], inputs[i][1]))).to.be.equal(true);
+    }
+  });
+  it('multiHash matches reference implementation', () => {
+    const arr = [bigInt(12), bigInt(45), bigInt(78), bigInt(41)];
+    expect(mimc7.multiHash(arr).equals(mimc7.multiHashReference(arr))).to.be.equal(true);
+    expect(mimc7.multiHash(arr.slice(2)).toString(16)).to.be.equal('1fd4bc970a697084ec1f83ecf81936d4a047e27c654752ddbc89f9ed1728e0ab');
+    expect(mimc7.multiHash([]).equals(mimc7.getIV())).to.be.equal(true);
+  });
+  it('multiHash with key matches circomlib', () => {
+    const arr = [bigInt(1), bigInt(2), bigInt('21888242871839275222246405745257275088548364400416034343698204186575808495620')];
+    expect(mimc7.multiHash(arr, bigInt(0)).toString())
+      .to.be.equal('17169600413981979745584492669128240105494044749332907415489899256697129837580');
+    expect(mimc7.multiHash(arr, bigInt(7)).toString())
+      .to.be.equal('1968913490863472374141024045724945361792209046042142303678582202113329849479');
+  });
+  it('hash buffer', () => {
+    expect(mimc7.hashBuffer(Buffer.from('example.iden3.eth')).toString())
+      .to.be.equal('269023706291996247390589116349710051676870959681691664320794956445957407479');
+    expect(mimc7.hashBuffer(Buffer.alloc(40, 1)).toString())
+      .to.be.equal('4211116056846036086414747859366632341669632497526529504442583363165125328429');
+    // Length is hashed as well
+    const bytes = Buffer.from('example.iden3.eth');
+    const bytesZero = Buffer.concat([bytes, Buffer.alloc(1)]);
+    expect(mimc7.hashBuffer(bytesZero).equals(mimc7.hashBuffer(bytes))).to.be.equal(false);
+    expect(mimc7.hashBuffer(Buffer.alloc(0)).equals(mimc7.multiHash([bigInt(0)], bigInt(0)))).to.be.equal(true);
+  });
+});
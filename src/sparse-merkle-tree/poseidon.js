@@ -0,0 +1,113 @@
+const blake = require('blakejs');
+const snarkjs = require('snarkjs');
+
+const { bn128 } = snarkjs;
+const { bigInt } = snarkjs;
+
+const F = bn128.Fr;
+
+const SEED = 'poseidon';
+const NROUNDSF = 8;
+const NROUNDSP = 57;
+const T = 6;
+
+const getPseudoRandom = (seed, n) => {
+  const res = [];
+  let h = Buffer.from(blake.blake2b(Buffer.from(seed), null, 32));
+  while (res.length < n) {
+    res.push(F.affine(bigInt.leBuff2int(h)));
+    h = Buffer.from(blake.blake2b(h, null, 32));
+  }
+  return res;
+};
+
+const allDifferent = (v) => {
+  for (let i = 0; i < v.length; i++) {
+    if (v[i].isZero()) return false;
+    for (let j = i + 1; j < v.length; j++) {
+      if (v[i].equals(v[j])) return false;
+    }
+  }
+  return true;
+};
+
+exports.getMatrix = (t, seed) => {
+  if (typeof t === 'undefined') t = T;
+  if (typeof seed === 'undefined') seed = SEED;
+  let nonce = '0000';
+  let cmatrix = getPseudoRandom(`${seed}_matrix_${nonce}`, t * 2);
+  while (!allDifferent(cmatrix)) {
+    nonce = `${Number(nonce) + 1}`.padStart(4, '0');
+    cmatrix = getPseudoRandom(`${seed}_matrix_${nonce}`, t * 2);
+  }
+  const M = new Array(t);
+  for (let i = 0; i < t; i++) {
+    M[i] = new Array(t);
+    for (let j = 0; j < t; j++) {
+      M[i][j] = F.affine(F.inverse(F.sub(cmatrix[i], cmatrix[t + j])));
+    }
+  }
+  return M;
+};
+
+exports.getConstants = (seed, nRounds) => {
+  if (typeof seed === 'undefined') seed = SEED;
+  if (typeof nRounds === 'undefined') nRounds = NROUNDSF + NROUNDSP;
+  return getPseudoRandom(`${seed}_constants`, nRounds);
+};
+
+const sigma = a => F.mul(a, F.square(F.square(a)));
+
+const mix = (state, M) => {
+  const newState = new Array(state.length);
+  for (let i = 0; i < state.length; i++) {
+    newState[i] = F.zero;
+    for (let j = 0; j < state.length; j++) {
+      newState[i] = F.add(newState[i], F.mul(M[i][j], state[j]));
+    }
+  }
+  return newState;
+};
+
+exports.createHash = (t, nRoundsF, nRoundsP, seed) => {
+  if (typeof t === 'undefined') t = T;
+  if (typeof nRoundsF === 'undefined') nRoundsF = NROUNDSF;
+  if (typeof nRoundsP === 'undefined') nRoundsP = NROUNDSP;
+  if (typeof seed === 'undefined') seed = SEED;
+  if (nRoundsF % 2 !== 0) {
+    throw new Error('Number of full rounds must be even');
+  }
+  const C = exports.getConstants(seed, nRoundsF + nRoundsP);
+  const M = exports.getMatrix(t, seed);
+  return (inputs) => {
+    if (inputs.length === 0 || inputs.length > t) {
+      throw new Error(`Number of inputs must be between 1 and ${t}`);
+    }
+    let state = [];
+    for (let i = 0; i < t; i++) {
+      state[i] = (i < inputs.length) ? bigInt(inputs[i]) : F.zero;
+    }
+    for (let i = 0; i < nRoundsF + nRoundsP; i++) {
+      state = state.map(e => F.add(e, C[i]));
+      if ((i < nRoundsF / 2) || (i >= nRoundsF / 2 + nRoundsP)) {
+        state = state.map(sigma);
+      } else {
+        state[0] = sigma(state[0]);
+      }
+      state = mix(state, M);
+    }
+    return F.affine(state[0]);
+  };
+};
+
+exports.hash = exports.createHash(T, NROUNDSF, NROUNDSP, SEED);
+
+// Elements are absorbed in chunks of T - 1, along with the result of the previous chunk
+exports.multiHash = (arr) => {
+  let r = F.one;
+  for (let i = 0; i < arr.length; i += T - 1) {
+    const chunk = arr.slice(i, i + T - 1).map(e => bigInt(e));
+    r = F.affine(F.add(r, exports.hash(chunk.concat([r]))));
+  }
+  return r;
+};
@@ -0,0 +1,40 @@
+const chai = require('chai');
+const snarkjs = require('snarkjs');
+const poseidon = require('./poseidon');
+
+const { bigInt } = snarkjs;
+const { expect } = chai;
+
+describe('[poseidon] Poseidon hash function', () => {
+  it('constants from seed', () => {
+    const cts = poseidon.getConstants();
+    expect(cts.length).to.be.equal(65);
+    const M = poseidon.getMatrix();
+    expect(M.length).to.be.equal(6);
+    expect(M[0].length).to.be.equal(6);
+  });
+  it('hash inputs', () => {
+    // Test vectors from the reference implementation
+    expect(poseidon.hash([bigInt(1), bigInt(2)]).toString())
+      .to.be.equal('12242166908188651009877250812424843524687801523336557272219921456462821518061');
+    expect(poseidon.hash([bigInt(3), bigInt(4)]).toString())
+      .to.be.equal('17185195740979599334254027721507328033796809509313949281114643312710535000993');
+    expect(poseidon.hash([1, 2, 3, 4, 5, 6]).toString())
+      .to.be.equal('11000289153284873404656629600692270241827335227372357817389144304630228030408');
+  });
+  it('number of inputs', () => {
+    expect(() => poseidon.hash([])).to.throw('Number of inputs must be between 1 and 6');
+    expect(() => poseidon.hash([1, 2, 3, 4, 5, 6, 7])).to.throw('Number of inputs must be between 1 and 6');
+  });
+  it('multiHash array of any length', () => {
+    expect(poseidon.multiHash([bigInt(1)]).toString())
+      .to.be.equal('12597359827385699745983624585951967077706786369038412049275814453626567057911');
+    const arr = [];
+    for (let i = 0; i < 12; i++) {
+      arr.push(bigInt(i));
+    }
+    const hash = poseidon.multiHash(arr);
+    expect(hash.equals(poseidon.multiHash(arr.slice(0, 11)))).to.be.equal(false);
+    expect(hash.equals(poseidon.multiHash(arr))).to.be.equal(true);
+  });
+});
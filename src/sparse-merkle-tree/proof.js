@@ -0,0 +1,217 @@
+const utils = require('../utils');
+const helpers = require('./sparse-merkle-tree-utils');
+const hashers = require('./hashers');
+
+const emptyNodeValue = Buffer.alloc(32);
+// Bytes used to flag which siblings are not empty
+const siblingsBitIndexLength = 30;
+// Position of the hasher identifier on the flags byte
+const hasherIdShift = 2;
+
+/**
+* Gets hash index and hash value of an entry
+* @param {Object} entry - Entry object or array of bigInt representing the claim
+* @param {Object} hasher - Hash function of the merkle tree
+* @returns {Array(bigInt)} - Hash index and hash value
+*/
+function getEntryHashes(entry, hasher) {
+  return helpers.getHiHv(helpers.getClaimFromEntry(entry), hasher);
+}
+
+/**
+* Class representing a merkle tree proof of existence or non-existence of a leaf
+* Proof structure is as follows:
+* {Bool} existence - True if it is a proof of existence
+* {Number} depth - Level where the leaf, or the position where it should be, is found
+* {Array(Buffer)} siblings - All the siblings from the root to the leaf, including empty ones
+* {Object} nodeAux - Hash index and hash value of the leaf found on a non-existence proof, undefined otherwise
+* {Object} hasher - Hash function of the merkle tree the proof belongs to
+*/
+class Proof {
+  /**
+  * @param {Bool} existence - Flag existence
+  * @param {Array(Buffer)} siblings - Siblings sorted from the root to the leaf
+  * @param {Object} nodeAux - Leaf found on the position of a non-existence proof
+  * @param {Object} hasher - Hash function of the merkle tree, MiMC7 by default
+  */
+  constructor(existence = false, siblings = [], nodeAux = undefined, hasher = hashers.mimc7) {
+    this.existence = existence;
+    this.depth = siblings.length;
+    this.siblings = siblings;
+    this.nodeAux = nodeAux;
+    this.hasher = hasher;
+  }
+
+  /**
+  * Encode proof into a buffer
+  * Buffer is as follows: |flags|depth|siblings bit index|non-empty siblings|node aux hi|node aux hv|
+  * Flags are as follows: bit 0 non-existence, bit 1 node aux present, bits 2 to 4 hasher identifier
+  * @returns {Buffer} - Proof encoded
+  */
+  toBuffer() {
+    let flags = this.existence ? 0 : 1;
+    if (this.nodeAux !== undefined) {
+      flags = helpers.setBit(flags, 1);
+    }
+    flags |= this.hasher.id << hasherIdShift;
+    const siblingsBitIndex = Buffer.alloc(siblingsBitIndexLength);
+    const startIndex = siblingsBitIndex.length - 1;
+    const nonEmptySiblings = [];
+    for (let i = 0; i < this.siblings.length; i++) {
+      if (Buffer.compare(this.siblings[i], emptyNodeValue)) {
+        const numByte = Math.floor(i / 8);
+        siblingsBitIndex[startIndex - numByte] = helpers.setBit(siblingsBitIndex[startIndex - numByte], i % 8);
+        nonEmptySiblings.push(this.siblings[i]);
+      }
+    }
+    const buffArray = [Buffer.from([flags, this.depth]), siblingsBitIndex].concat(nonEmptySiblings);
+    if (this.nodeAux !== undefined) {
+      buffArray.push(this.nodeAux.hi, this.nodeAux.hv);
+    }
+    return Buffer.concat(buffArray);
+  }
+
+  /**
+  * Decode a proof from a buffer
+  * Throws if the buffer length does not match the siblings flagged and the node aux
+  * @param {Buffer} buff - Proof encoded as SparseMerkleTree.generateProof returns it
+  * @returns {Object} - Proof class object
+  */
+  static fromBuffer(buff) {
+    if (buff.length < 2 + siblingsBitIndexLength) {
+      throw new Error('Invalid proof length');
+    }
+    const flags = buff.readUInt8(0);
+    const depth = buff.readUInt8(1);
+    const siblingsBitIndex = buff.slice(2, 2 + siblingsBitIndexLength);
+    const siblings = [];
+    let pos = 2 + siblingsBitIndexLength;
+    for (let i = 0; i < depth; i++) {
+      const numByte = Math.floor(i / 8);
+      if (helpers.getBit(siblingsBitIndex[siblingsBitIndex.length - 1 - numByte], i % 8)) {
+        siblings.push(buff.slice(pos, pos + 32));
+        pos += 32;
+      } else {
+        siblings.push(emptyNodeValue);
+      }
+    }
+    let nodeAux;
+    if (helpers.getBit(flags, 1)) {
+      nodeAux = {
+        hi: buff.slice(pos, pos + 32),
+        hv: buff.slice(pos + 32, pos + 64),
+      };
+      pos += 64;
+    }
+    if (pos !== buff.length) {
+      throw new Error('Invalid proof length');
+    }
+    return new Proof(!helpers.getBit(flags, 0), siblings, nodeAux, hashers.getHasher(flags >> hasherIdShift));
+  }
+
+  /**
+  * Retrieve all the siblings padded with empty nodes until a given number of levels
+  * This is the form circuits with a fixed number of levels take the siblings
+  * @param {Number} maxLevels - Number of levels of the circuit
+  * @returns {Array(bigInt)} - Siblings as field elements, sorted from the root to the bottom
+  */
+  getSiblingsPadded(maxLevels) {
+    if (this.depth > maxLevels) {
+      throw new Error('Proof depth is greater than maximum levels');
+    }
+    const siblings = helpers.getArrayBigIntFromBuffArray(this.siblings);
+    while (siblings.length < maxLevels) {
+      siblings.push(helpers.bufferToBigInt(emptyNodeValue));
+    }
+    return siblings;
+  }
+
+  /**
+  * Encode proof into an object with hexadecimal strings
+  * @returns {Object} - Proof ready to be serialized
+  */
+  toJSON() {
+    return {
+      existence: this.existence,
+      depth: this.depth,
+      siblings: this.siblings.map(sibling => utils.bytesToHex(sibling)),
+      nodeAux: (this.nodeAux === undefined) ? null : {
+        hi: utils.bytesToHex(this.nodeAux.hi),
+        hv: utils.bytesToHex(this.nodeAux.hv),
+      },
+      hasher: this.hasher.name,
+    };
+  }
+
+  /**
+  * Decode a proof from its object representation
+  * Proofs serialized without hasher are taken as MiMC7 ones
+  * @param {Object} json - Proof object as toJSON returns it, or its string serialization
+  * @returns {Object} - Proof class object
+  */
+  static fromJSON(json) {
+    const obj = (typeof json === 'string') ? JSON.parse(json) : json;
+    const siblings = obj.siblings.map(sibling => utils.hexToBytes(sibling));
+    if (siblings.length !== obj.depth) {
+      throw new Error('Proof depth does not match siblings length');
+    }
+    const nodeAux = (obj.nodeAux === null || obj.nodeAux === undefined) ? undefined : {
+      hi: utils.hexToBytes(obj.nodeAux.hi),
+      hv: utils.hexToBytes(obj.nodeAux.hv),
+    };
+    const hasher = (obj.hasher === null || obj.hasher === undefined) ? hashers.mimc7 : hashers.getHasher(obj.hasher);
+    return new Proof(obj.existence, siblings, nodeAux, hasher);
+  }
+
+  /**
+  * Verifies the proof for a given entry
+  * Proof of existence is valid if the entry is on the merkle tree,
+  * proof of non-existence is valid if the entry is not on the merkle tree
+  * @param {Buffer} root - Root of the merkle tree, it can be given as an hexadecimal string
+  * @param {Object} entry - Entry object or array of bigInt representing the claim
+  * @returns {Bool} - Result of the proof verification
+  */
+  verify(root, entry) {
+    const hashes = getEntryHashes(entry, this.hasher);
+    const rootBuff = (typeof root === 'string') ? utils.hexToBytes(root) : root;
+    return this.verifyHashes(rootBuff, hashes[0], hashes[1]);
+  }
+
+  /**
+  * Verifies the proof for a given hash index and hash value
+  * @param {Buffer} root - Root of the merkle tree
+  * @param {bigInt} hi - Hash index of the leaf
+  * @param {bigInt} hv - Hash value of the leaf
+  * @returns {Bool} - Result of the proof verification
+  */
+  verifyHashes(root, hi, hv) {
+    const hiBinary = helpers.getIndexArray(hi);
+    let nextHash;
+    if (this.existence) {
+      nextHash = helpers.getHashFinalNode(hi, hv, this.hasher);
+    } else if (this.nodeAux !== undefined) {
+      // Leaf found must be a different one placed on the same branch
+      const hiAux = helpers.bufferToBigInt(this.nodeAux.hi);
+      const hiAuxBinary = helpers.getIndexArray(hiAux);
+      let diff = false;
+      let pos = 0;
+      while (!diff && !((pos > hiBinary.length - 1) && (pos > hiAuxBinary.length - 1))) {
+        const bitLeaf = (pos > (hiBinary.length - 1)) ? 0 : hiBinary[pos];
+        const bitLeafAux = (pos > (hiAuxBinary.length - 1)) ? 0 : hiAuxBinary[pos];
+        diff = bitLeaf ^ bitLeafAux;
+        pos += 1;
+      }
+      if (!diff) {
+        return false;
+      }
+      nextHash = helpers.getHashFinalNode(hiAux, helpers.bufferToBigInt(this.nodeAux.hv), this.hasher);
+    } else {
+      nextHash = emptyNodeValue;
+    }
+    // Calculate root through siblings
+    const rootCalc = helpers.getRootFromSiblings(hiBinary, this.siblings, nextHash, this.hasher);
+    return Buffer.compare(rootCalc, root) === 0;
+  }
+}
+
+module.exports = Proof;
@@ -0,0 +1,118 @@
+const chai = require('chai');
+const snarkjs = require('snarkjs');
+const iden3 = require('../index');
+const Entry = require('../claim/entry/entry');
+const helpers = require('./sparse-merkle-tree-utils');
+const Proof = require('./proof');
+
+const { bigInt } = snarkjs;
+const { expect } = chai;
+
+const db = new iden3.Db();
+const idAddr = '0xq5soghj264eax651ghq1651485ccaxas98461251d5f1sdf6c51c5d1c6sd1c651-proof-';
+
+const proofExistenceHex = '0x0003000000000000000000000000000000000000000000000000000000000007'
+                          + '2e2e61a54ec48cb031effbf00420cd06d707535616965f1ffda2edd1006b807c'
+                          + '0b9a1a9cc13e5fe12e380fb702c10fde1a9201b7f89e25051f57e00862f20522'
+                          + '00b1574ea5a96e97ff7b0c964c14d0ad7b9da5b56d068b3aabe10fd3051b0d2a';
+const proofNonExistenceDiffHex = '0x030400000000000000000000000000000000000000000000000000000000000b'
+                                 + '0a439bd423b069c01717cd8641d610f286ec5062c9ecee6f2412af76ff551cb5'
+                                 + '1c0fd5c25407d0220a0bcbc6734908153fd18ec43ee62ee157030462c43f537d'
+                                 + '2d5899d3a66630d86c3b9ff896a99b0f2b9e7afc49b69175ed07773ae39263f5'
+                                 + '149648851923be5e707629f0619a1f391452d3c252291d5492d5f9280542380f'
+                                 + '1541a6b5aa9bf7d9be3d5cb0bcc7cacbca26242016a0feebfc19c90f2224baed';
+const proofNonExistenceEmptyHex = '0x0105000000000000000000000000000000000000000000000000000000000017'
+                                  + '2e2e61a54ec48cb031effbf00420cd06d707535616965f1ffda2edd1006b807c'
+                                  + '0b9a1a9cc13e5fe12e380fb702c10fde1a9201b7f89e25051f57e00862f20522'
+                                  + '1e1b8f66c3bd26be093e358ed6c54f9d1986411ea404d01482fcf26b04912a0c'
+                                  + '17974735b062a464506127e92858392e853b6abbcb3a1d93a5924af42198c3d1';
+
+describe('[sparse-merkle-tree proof] Buffer encoding', () => {
+  it('proof-of-existence', () => {
+    const proof = Proof.fromBuffer(iden3.utils.hexToBytes(proofExistenceHex));
+    expect(proof.existence).to.be.equal(true);
+    expect(proof.depth).to.be.equal(3);
+    expect(proof.siblings.length).to.be.equal(3);
+    expect(proof.nodeAux).to.be.equal(undefined);
+    expect(iden3.utils.bytesToHex(proof.toBuffer())).to.be.equal(proofExistenceHex);
+  });
+  it('proof-of-non-existence non empty node value', () => {
+    const proof = Proof.fromBuffer(iden3.utils.hexToBytes(proofNonExistenceDiffHex));
+    expect(proof.existence).to.be.equal(false);
+    expect(proof.depth).to.be.equal(4);
+    expect(iden3.utils.bytesToHex(proof.siblings[2])).to.be.equal('0x0000000000000000000000000000000000000000000000000000000000000000');
+    expect(iden3.utils.bytesToHex(proof.nodeAux.hi)).to.be.equal('0x149648851923be5e707629f0619a1f391452d3c252291d5492d5f9280542380f');
+    expect(iden3.utils.bytesToHex(proof.toBuffer())).to.be.equal(proofNonExistenceDiffHex);
+  });
+  it('proof-of-non-existence empty node value', () => {
+    const proof = Proof.fromBuffer(iden3.utils.hexToBytes(proofNonExistenceEmptyHex));
+    expect(proof.existence).to.be.equal(false);
+    expect(proof.depth).to.be.equal(5);
+    expect(proof.nodeAux).to.be.equal(undefined);
+    expect(iden3.utils.bytesToHex(proof.toBuffer())).to.be.equal(proofNonExistenceEmptyHex);
+  });
+});
+
+describe('[sparse-merkle-tree proof] JSON encoding', () => {
+  it('toJSON and fromJSON', () => {
+    const proof = Proof.fromBuffer(iden3.utils.hexToBytes(proofNonExistenceDiffHex));
+    const json = JSON.stringify(proof);
+    const obj = JSON.parse(json);
+    expect(obj.existence).to.be.equal(false);
+    expect(obj.depth).to.be.equal(4);
+    expect(obj.siblings[0]).to.be.equal('0x0a439bd423b069c01717cd8641d610f286ec5062c9ecee6f2412af76ff551cb5');
+    expect(obj.nodeAux.hv).to.be.equal('0x1541a6b5aa9bf7d9be3d5cb0bcc7cacbca26242016a0feebfc19c90f2224baed');
+    expect(iden3.utils.bytesToHex(Proof.fromJSON(json).toBuffer())).to.be.equal(proofNonExistenceDiffHex);
+    expect(iden3.utils.bytesToHex(Proof.fromJSON(obj).toBuffer())).to.be.equal(proofNonExistenceDiffHex);
+    expect(obj.hasher).to.be.equal('mimc7');
+    // Proofs serialized without hasher are taken as MiMC7
+    delete obj.hasher;
+    expect(Proof.fromJSON(obj).hasher.name).to.be.equal('mimc7');
+  });
+  it('depth mismatch', () => {
+    const obj = Proof.fromBuffer(iden3.utils.hexToBytes(proofExistenceHex)).toJSON();
+    obj.depth = 4;
+    expect(() => Proof.fromJSON(obj)).to.throw('Proof depth does not match siblings length');
+  });
+  it('buffer length mismatch', () => {
+    const buff = iden3.utils.hexToBytes(proofNonExistenceDiffHex);
+    expect(() => Proof.fromBuffer(buff.slice(0, buff.length - 1))).to.throw('Invalid proof length');
+    expect(() => Proof.fromBuffer(buff.slice(0, buff.length - 64))).to.throw('Invalid proof length');
+    expect(() => Proof.fromBuffer(buff.slice(0, 10))).to.throw('Invalid proof length');
+    expect(() => Proof.fromBuffer(Buffer.concat([buff, Buffer.alloc(32)]))).to.throw('Invalid proof length');
+  });
+});
+
+describe('[sparse-merkle-tree proof] Verify', () => {
+  let mt;
+  before('Create merkle tree', () => {
+    mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const claims = [];
+    for (let i = 0; i < 8; i++) {
+      claims.push([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    }
+    mt.addClaims(claims);
+  });
+
+  it('verify proof-of-existence of an entry', () => {
+    const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(4)];
+    const entry = new Entry();
+    entry.elements = helpers.getArrayBuffFromArrayBigInt(claim);
+    const proof = Proof.fromBuffer(mt.generateProof(claim.slice(2)));
+    expect(proof.verify(mt.root, entry)).to.be.equal(true);
+    expect(proof.verify(iden3.utils.bytesToHex(mt.root), claim)).to.be.equal(true);
+    // Proof does not hold for a different entry
+    expect(proof.verify(mt.root, [bigInt(0), bigInt(1), bigInt(0), bigInt(4)])).to.be.equal(false);
+  });
+  it('verify proof-of-non-existence after JSON exchange', () => {
+    const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(10)];
+    const proof = Proof.fromBuffer(mt.generateProof(claim.slice(2)));
+    const received = Proof.fromJSON(JSON.stringify(proof));
+    expect(received.existence).to.be.equal(false);
+    expect(received.verify(mt.root, claim)).to.be.equal(true);
+    // Turning it into a proof of existence must fail
+    received.existence = true;
+    received.nodeAux = undefined;
+    expect(received.verify(mt.root, claim)).to.be.equal(false);
+  });
+});
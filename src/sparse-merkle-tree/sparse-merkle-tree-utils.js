@@ -1,5 +1,6 @@
 const snarkjs = require('snarkjs');
 const utils = require('../utils');
+const hashers = require('./hashers');
 
 const { bigInt } = snarkjs;
 
@@ -119,6 +120,59 @@ function getArrayBigIntFromBuffArray(arrayBuff) {
   return arrayBigInt;
 }
 
+/**
+* Gets claim elements of an entry
+* @param {Object} entry - Entry object or array of bigInt representing the claim
+* @returns {Array(bigInt)} - Claim elements
+*/
+function getClaimFromEntry(entry) {
+  return Array.isArray(entry) ? entry : getArrayBigIntFromBuffArray(entry.elements);
+}
+
+/**
+* Retrieve node hash as Hash[1, hi, hv] in buffer object
+* @param {bigInt} hi - Hash index of the claim
+* @param {bigInt} hv - Hash value of the claim
+* @param {Object} hasher - Hash function of the merkle tree, MiMC7 by default
+* @returns {Buffer} - Key node value
+*/
+function getHashFinalNode(hi, hv, hasher = hashers.mimc7) {
+  const hashArray = [bigInt(1), hi, hv];
+  const hashKey = hasher.multiHash(hashArray);
+  return bigIntToBuffer(hashKey);
+}
+
+/**
+* Retrieve Hash index and Hash value from claim object
+* @param {Array(bigInt)} claim - Array of bigInt representing claim object
+* @param {Object} hasher - Hash function of the merkle tree, MiMC7 by default
+*/
+function getHiHv(claim, hasher = hashers.mimc7) {
+  const indexGen = claim.slice(2);
+  const valueGen = claim.slice(0, 2);
+  const hi = hasher.multiHash(indexGen);
+  const hv = hasher.multiHash(valueGen);
+  return [hi, hv];
+}
+
+/**
+* Calculates the root of a branch from a given node, without touching the database
+* @param {Array(Uint8)} hiBinary - Array of bits determining leaf position
+* @param {Array(Buffer)} siblings - Siblings of the branch sorted from the root to the bottom
+* @param {Buffer} nodeKey - Key of the node where the branch starts
+* @param {Object} hasher - Hash function of the merkle tree, MiMC7 by default
+* @returns {Buffer} - Root of the branch
+*/
+function getRootFromSiblings(hiBinary, siblings, nodeKey, hasher = hashers.mimc7) {
+  let nextHash = nodeKey;
+  for (let i = siblings.length - 1; i >= 0; i--) {
+    const bitLeaf = (i > (hiBinary.length - 1)) ? 0 : hiBinary[i];
+    const concat = bitLeaf ? [siblings[i], nextHash] : [nextHash, siblings[i]];
+    nextHash = bigIntToBuffer(hasher.multiHash(getArrayBigIntFromBuffArray(concat)));
+  }
+  return nextHash;
+}
+
 /**
 * Gets proof object given a string hexadecimal encoded
 * @param {String} buffHex - hexadecimal string to parse
@@ -165,14 +219,18 @@ function genProofStruct(buffHex) {
 
 module.exports = {
   getBit,
+  getHashFinalNode,
+  getHiHv,
   parseProof,
   genProofStruct,
   getArrayBigIntFromBuffArray,
   getArrayBuffFromArrayBigInt,
   bufferToNodeValue,
   nodeValueToBuffer,
+  getClaimFromEntry,
   bufferToBigInt,
   bigIntToBuffer,
   getIndexArray,
+  getRootFromSiblings,
   setBit,
 };
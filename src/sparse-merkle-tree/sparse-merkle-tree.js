@@ -1,12 +1,49 @@
-const snarkjs = require('snarkjs');
 const utils = require('../utils');
 const helpers = require('./sparse-merkle-tree-utils');
 const CONSTANTS = require('../constants');
-const mimc7 = require('./mimc7');
-
-const { bigInt } = snarkjs;
+const hashers = require('./hashers');
+const Proof = require('./proof');
+const circuitInputs = require('./circuit-inputs');
 
 const emptyNodeValue = Buffer.alloc(32);
+// Key where the current root is stored, added to the merkle tree prefix
+const rootKey = 'root';
+// Key where the identifier of the hasher is stored along with the root, added to the merkle tree prefix
+const hasherKey = 'hasher';
+// Format of the node keys, as they are stored after the merkle tree prefix
+const nodeKeyRegExp = /^0x[0-9a-f]{64}$/;
+// Levels limited by the bytes used on the proof to flag non-empty siblings
+const maxLevelsAllowed = 240;
+
+/**
+* Error thrown when adding a claim which hash index is already on the merkle tree
+*/
+class ErrEntryIndexAlreadyExists extends Error {
+  constructor(message = 'Claim index already exists') {
+    super(message);
+    this.name = 'ErrEntryIndexAlreadyExists';
+  }
+}
+
+/**
+* Error thrown when there is no claim on the merkle tree for a given hash index
+*/
+class ErrEntryIndexNotFound extends Error {
+  constructor(message = 'Claim index not found') {
+    super(message);
+    this.name = 'ErrEntryIndexNotFound';
+  }
+}
+
+/**
+* Error thrown when a leaf should be placed deeper than the maximum level of the merkle tree
+*/
+class ErrReachedMaxLevel extends Error {
+  constructor(message = 'Reached maximum level of the merkle tree') {
+    super(message);
+    this.name = 'ErrReachedMaxLevel';
+  }
+}
 
 /**
 * Retrieve node value from merkle tree
@@ -24,7 +61,7 @@ function getNodeValue(db, key, prefix) {
 
 /**
 * Set node value to the merkle tree
-* @param {Object} db - Data base object representation
+* @param {Object} db - Data base object representation, or a batch of writes
 * @param {Buffer} key - Key value of the node
 * @param {Object} value - Object representation of node value
 * @param {String} prefix - Prefix added to the key
@@ -36,39 +73,280 @@ function setNodeValue(db, key, value, prefix) {
 }
 
 /**
-* Retrieve node hash as Hash[1, hi, hv] in buffer object
+* Retrieve root of the merkle tree stored in the database
+* @param {Object} db - Data base object representation
+* @param {String} prefix - Prefix added to the key
+* @returns {Buffer} - Root stored, empty node value if there is no root stored
+*/
+function loadRoot(db, prefix) {
+  const rootHex = db.get(prefix + rootKey);
+  if (rootHex === null) { return emptyNodeValue; }
+  return utils.hexToBytes(rootHex);
+}
+
+/**
+* Store root of the merkle tree into the database, along with the hasher it is built with
+* @param {Object} db - Data base object representation, or a batch of writes
+* @param {Buffer} root - Root of the merkle tree
+* @param {String} prefix - Prefix added to the key
+* @param {Object} hasher - Hash function of the merkle tree
+*/
+function saveRoot(db, root, prefix, hasher) {
+  db.insert(prefix + rootKey, utils.bytesToHex(root));
+  db.insert(prefix + hasherKey, `${hasher.id}`);
+}
+
+/**
+* Checks the merkle tree stored in the database is built with a given hasher
+* Throws an error if it is built with another one, merkle trees stored without hasher are built with MiMC7
+* @param {Object} db - Data base object representation
+* @param {String} prefix - Prefix added to the key
+* @param {Object} hasher - Hash function of the merkle tree
+*/
+function checkHasherStored(db, prefix, hasher) {
+  if (db.get(prefix + rootKey) === null) { return; }
+  const hasherId = db.get(prefix + hasherKey);
+  const hasherStored = (hasherId === null) ? hashers.mimc7 : hashers.getHasher(Number(hasherId));
+  if (hasherStored.id !== hasher.id) {
+    throw new Error(`Merkle tree is built with ${hasherStored.name} hasher, not ${hasher.name}`);
+  }
+}
+
+/**
+* Checks a stored entry is a node of the merkle tree, its key being the hash of its value
+* Legacy merkle tree of the same identity stores its nodes with the same prefix and key format
+* @param {Buffer} key - Key of the entry
+* @param {String} valueHex - Value of the entry
+* @param {Object} hasher - Hash function of the merkle tree
+* @returns {Bool} - True if the entry is a node of the merkle tree
+*/
+function isTreeNode(key, valueHex, hasher) {
+  const nodeValue = helpers.bufferToNodeValue(utils.hexToBytes(valueHex));
+  let nodeKey;
+  try {
+    if (nodeValue.length === 2) {
+      nodeKey = helpers.bigIntToBuffer(hasher.multiHash(helpers.getArrayBigIntFromBuffArray(nodeValue)));
+    } else if (nodeValue.length === 4) {
+      const [hi, hv] = helpers.getHiHv(helpers.getArrayBigIntFromBuffArray(nodeValue), hasher);
+      nodeKey = helpers.getHashFinalNode(hi, hv, hasher);
+    }
+  } catch (err) {
+    // Value is not made of field elements
+    return false;
+  }
+  return nodeKey !== undefined && Buffer.compare(nodeKey, key) === 0;
+}
+
+/**
+* Checks the nodes of a given root are stored in the database
+* Throws an error if the root is not found, empty root is always valid
+* @param {Object} db - Data base object representation
+* @param {String} prefix - Prefix added to the key
+* @param {Buffer} root - Root of the merkle tree
+*/
+function checkRootStored(db, prefix, root) {
+  if (Buffer.compare(root, emptyNodeValue) !== 0 && db.get(prefix + utils.bytesToHex(root)) === null) {
+    throw new Error('Root not found in database');
+  }
+}
+
+/**
+* Throws an error if the merkle tree is a read-only snapshot
+* @param {Object} tree - SparseMerkleTree object
+*/
+function checkWritable(tree) {
+  if (tree.readOnly) {
+    throw new Error('Merkle tree snapshot is read-only');
+  }
+}
+
+/**
+* Recalculate the nodes of a branch from a given node until the root
+* Every node computed is written into the database
+* @param {Object} db - Data base object representation, or a batch of writes
+* @param {String} prefix - Prefix added to the key
+* @param {Array(Uint8)} hiBinary - Array of bits determining leaf position
+* @param {Array(Buffer)} siblings - Siblings of the branch sorted from the root to the bottom
+* @param {Buffer} nodeKey - Key of the node where the branch starts
+* @param {Object} hasher - Hash function of the merkle tree
+* @returns {Buffer} - New root of the merkle tree
+*/
+function recalculatePathUntilRoot(db, prefix, hiBinary, siblings, nodeKey, hasher) {
+  let nextHash = nodeKey;
+  for (let i = siblings.length - 1; i >= 0; i--) {
+    const bitLeaf = (i > (hiBinary.length - 1)) ? 0 : hiBinary[i];
+    const siblingTmp = siblings[i];
+    const concat = bitLeaf ? [siblingTmp, nextHash] : [nextHash, siblingTmp];
+    nextHash = helpers.bigIntToBuffer(hasher.multiHash(helpers.getArrayBigIntFromBuffArray(concat)));
+    setNodeValue(db, nextHash, concat, prefix);
+  }
+  return nextHash;
+}
+
+/**
+* Retrieve the final node with a given hash index and all the siblings of its branch
+* Throws ErrEntryIndexNotFound if there is no final node with the hash index given
+* @param {Object} db - Data base object representation
+* @param {String} prefix - Prefix added to the key
+* @param {Buffer} root - Root of the merkle tree
 * @param {bigInt} hi - Hash index of the claim
-* @param {bigInt} hv - Hash value of the claim
-* @returns {Buffer} - Key node value
+* @param {Object} hasher - Hash function of the merkle tree
+* @returns {Object} - Final node value and array of siblings sorted from the root to the bottom
+*/
+function findLeaf(db, prefix, root, hi, hasher) {
+  const hiBinary = helpers.getIndexArray(hi);
+  let key = root;
+  let nodeValue = getNodeValue(db, key, prefix);
+  let claimIndex = 0;
+  const siblings = [];
+  while (nodeValue.length === 2) {
+    const bitLeaf = (claimIndex > (hiBinary.length - 1)) ? 0 : hiBinary[claimIndex];
+    siblings.push(bitLeaf ? nodeValue[0] : nodeValue[1]);
+    key = bitLeaf ? nodeValue[1] : nodeValue[0];
+    nodeValue = getNodeValue(db, key, prefix);
+    claimIndex += 1;
+  }
+  if (nodeValue.length !== 4) {
+    throw new ErrEntryIndexNotFound();
+  }
+  const hiLeaf = helpers.getHiHv(helpers.getArrayBigIntFromBuffArray(nodeValue), hasher)[0];
+  if (Buffer.compare(helpers.bigIntToBuffer(hiLeaf), helpers.bigIntToBuffer(hi)) !== 0) {
+    throw new ErrEntryIndexNotFound();
+  }
+  return { nodeValue, siblings };
+}
+
+/**
+* Build a subtree in memory from a set of leaves placed below a given level
+* Nodes computed are added to the nodes object instead of being written into the database
+* @param {Array(Object)} leaves - Leaves to place on the subtree, containing its key, its value and its hash index bits
+* @param {Number} level - Level of the subtree root
+* @param {Number} maxLevels - Maximum number of levels of the merkle tree
+* @param {Object} nodes - Nodes pending to be written, indexed by its key in hexadecimal
+* @param {Object} hasher - Hash function of the merkle tree
+* @returns {Buffer} - Key of the subtree root
 */
-function getHashFinalNode(hi, hv) {
-  const hashArray = [bigInt(1), hi, hv];
-  const hashKey = mimc7.multiHash(hashArray);
-  return helpers.bigIntToBuffer(hashKey);
+function buildSubtree(leaves, level, maxLevels, nodes, hasher) {
+  if (leaves.length === 0) { return emptyNodeValue; }
+  if (level > maxLevels - 1) {
+    throw new ErrReachedMaxLevel();
+  }
+  if (leaves.length === 1) {
+    const leaf = leaves[0];
+    if (leaf.value !== undefined) {
+      nodes[utils.bytesToHex(leaf.key)] = { key: leaf.key, value: leaf.value };
+    }
+    return leaf.key;
+  }
+  const leavesLeft = leaves.filter(leaf => !((level > (leaf.hiBinary.length - 1)) ? 0 : leaf.hiBinary[level]));
+  const leavesRight = leaves.filter(leaf => ((level > (leaf.hiBinary.length - 1)) ? 0 : leaf.hiBinary[level]));
+  const concat = [
+    buildSubtree(leavesLeft, level + 1, maxLevels, nodes, hasher),
+    buildSubtree(leavesRight, level + 1, maxLevels, nodes, hasher),
+  ];
+  const key = helpers.bigIntToBuffer(hasher.multiHash(helpers.getArrayBigIntFromBuffArray(concat)));
+  nodes[utils.bytesToHex(key)] = { key, value: concat };
+  return key;
 }
 
 /**
-* Retrieve Hash index and Hash value from claim object
-* @param {Array(bigInt)} claim - Array of bigInt representing claim object
+* Insert a set of leaves below a node already stored on the merkle tree
+* Only the branches where new leaves are placed are recalculated, each node just once
+* @param {Object} db - Data base object representation
+* @param {String} prefix - Prefix added to the key
+* @param {Buffer} nodeKey - Key of the node where leaves are inserted
+* @param {Array(Object)} leaves - Leaves to insert, containing its key, its value and its hash index bits
+* @param {Number} level - Level of the node
+* @param {Number} maxLevels - Maximum number of levels of the merkle tree
+* @param {Object} nodes - Nodes pending to be written, indexed by its key in hexadecimal
+* @param {Object} hasher - Hash function of the merkle tree
+* @returns {Buffer} - New key of the node
 */
-function getHiHv(claim) {
-  const indexGen = claim.slice(2);
-  const valueGen = claim.slice(0, 2);
-  const hi = mimc7.multiHash(indexGen);
-  const hv = mimc7.multiHash(valueGen);
-  return [hi, hv];
+function insertLeaves(db, prefix, nodeKey, leaves, level, maxLevels, nodes, hasher) {
+  if (leaves.length === 0) { return nodeKey; }
+  const nodeValue = getNodeValue(db, nodeKey, prefix);
+  if (nodeValue.length === 2) {
+    const leavesLeft = leaves.filter(leaf => !((level > (leaf.hiBinary.length - 1)) ? 0 : leaf.hiBinary[level]));
+    const leavesRight = leaves.filter(leaf => ((level > (leaf.hiBinary.length - 1)) ? 0 : leaf.hiBinary[level]));
+    const concat = [
+      insertLeaves(db, prefix, nodeValue[0], leavesLeft, level + 1, maxLevels, nodes, hasher),
+      insertLeaves(db, prefix, nodeValue[1], leavesRight, level + 1, maxLevels, nodes, hasher),
+    ];
+    const key = helpers.bigIntToBuffer(hasher.multiHash(helpers.getArrayBigIntFromBuffArray(concat)));
+    nodes[utils.bytesToHex(key)] = { key, value: concat };
+    return key;
+  }
+  if (nodeValue.length === 4) {
+    // Final node found is placed down again along with the new leaves
+    const hiTmp = helpers.bigIntToBuffer(helpers.getHiHv(helpers.getArrayBigIntFromBuffArray(nodeValue), hasher)[0]);
+    if (leaves.some(leaf => Buffer.compare(leaf.hi, hiTmp) === 0)) {
+      throw new ErrEntryIndexAlreadyExists();
+    }
+    const hiBinary = helpers.getIndexArray(helpers.bufferToBigInt(hiTmp));
+    return buildSubtree(leaves.concat([{ key: nodeKey, hiBinary }]), level, maxLevels, nodes, hasher);
+  }
+  return buildSubtree(leaves, level, maxLevels, nodes, hasher);
+}
+
+/**
+* Shorten node key to be displayed
+* @param {Buffer} key - Key of the node
+* @returns {String} - First bytes of the key in hexadecimal
+*/
+function shortHash(key) {
+  return `${utils.bytesToHex(key.slice(0, 4))}...`;
+}
+
+/**
+* Builds a transition proof from the proofs of a claim on the roots with and without it
+* @param {Number} fnc - 0 for an insertion, 1 for a deletion
+* @param {Buffer} oldRoot - Root before the transition
+* @param {Buffer} newRoot - Root after the transition
+* @param {Array(bigInt)} claim - Claim inserted or deleted
+* @param {Object} proofWith - Proof of existence of the claim
+* @param {Object} proofWithout - Proof of non-existence of the claim
+* @returns {Object} - Transition proof
+*/
+function getTransitionProof(fnc, oldRoot, newRoot, claim, proofWith, proofWithout) {
+  const hashes = helpers.getHiHv(claim, proofWith.hasher);
+  const isOld0 = proofWithout.nodeAux === undefined;
+  return {
+    fnc,
+    oldRoot,
+    newRoot,
+    siblings: proofWith.siblings,
+    oldKey: isOld0 ? emptyNodeValue : proofWithout.nodeAux.hi,
+    oldValue: isOld0 ? emptyNodeValue : proofWithout.nodeAux.hv,
+    isOld0,
+    newKey: helpers.bigIntToBuffer(hashes[0]),
+    newValue: helpers.bigIntToBuffer(hashes[1]),
+    hasher: proofWith.hasher.name,
+  };
 }
 
 class SparseMerkleTree {
   /**
   * Initiate sparse merkle tree
+  * Last root stored in the database for this identity is loaded, if any
+  * Leaves can be placed from level 0 (root) to level maxLevels - 1
   * @param {Object} db - Database
   * @param {String} idAddr - adress of the identity
+  * @param {Number} maxLevels - Maximum number of levels of the merkle tree, it should match the circuit levels
+  * @param {Object} hasher - Hash function of the merkle tree, as the ones on hashers module, MiMC7 by default
+  * It must match the one of the merkle tree stored, if any
   */
-  constructor(db, idAddr) {
+  constructor(db, idAddr, maxLevels = maxLevelsAllowed, hasher = hashers.mimc7) {
+    if (maxLevels < 1 || maxLevels > maxLevelsAllowed) {
+      throw new Error(`Maximum levels must be between 1 and ${maxLevelsAllowed}`);
+    }
     this.db = db;
+    this.idAddr = idAddr;
     this.prefix = CONSTANTS.MTPREFIX + idAddr;
-    this.root = emptyNodeValue;
+    this.maxLevels = maxLevels;
+    this.hasher = hasher;
+    checkHasherStored(this.db, this.prefix, this.hasher);
+    this.root = loadRoot(this.db, this.prefix);
+    this.readOnly = false;
   }
 
   /**
@@ -79,13 +357,49 @@ class SparseMerkleTree {
     return this.root;
   }
 
+  /**
+  * Set the merkle tree to a root which nodes are stored in the database
+  * Allows to open historic roots of the merkle tree
+  * Root stored is not changed unless it is persisted, so the merkle tree is loaded at its last root when created again
+  * Persisting the root rolls the merkle tree back to it, use snapshot() to just read it
+  * @param {Buffer} root - Root of the merkle tree to load
+  * @param {Object} options - Store the root as the last one of the merkle tree, false by default
+  */
+  loadFromRoot(root, { persist = false } = {}) {
+    checkWritable(this);
+    checkRootStored(this.db, this.prefix, root);
+    this.root = root;
+    if (persist) {
+      saveRoot(this.db, this.root, this.prefix, this.hasher);
+    }
+  }
+
+  /**
+  * Retrieve a read-only view of the merkle tree at a given root which nodes are stored in the database
+  * Snapshot is not affected by claims added afterwards, and it can not be modified
+  * @param {Buffer} root - Root of the merkle tree, current root by default
+  * @returns {Object} - SparseMerkleTree read-only object
+  */
+  snapshot(root = this.root) {
+    checkRootStored(this.db, this.prefix, root);
+    const tree = new SparseMerkleTree(this.db, this.idAddr, this.maxLevels, this.hasher);
+    tree.root = root;
+    tree.readOnly = true;
+    return tree;
+  }
+
   /**
   * Adds new data to a leaf
+  * Throws ErrEntryIndexAlreadyExists if there is already a leaf with the same hash index,
+  * unless overwrite is enabled, in which case the value of the leaf is replaced
+  * Throws ErrReachedMaxLevel if the leaf should be placed deeper than the maximum level
   * @param {Array(bigInt)} claim - Claim data object to be added to the merkle tree
+  * @param {Bool} overwrite - Replace the leaf if its hash index already exists
   */
-  addClaim(claim) {
+  addClaim(claim, overwrite = false) {
+    checkWritable(this);
     const currentClaim = claim;
-    const hashes = getHiHv(claim);
+    const hashes = helpers.getHiHv(claim, this.hasher);
     const hi = hashes[0];
     const hv = hashes[1];
     const hiBinay = helpers.getIndexArray(hi);
@@ -94,6 +408,7 @@ class SparseMerkleTree {
     let key = this.root;
     let nodeValue = getNodeValue(this.db, key, this.prefix);
     let claimIndex = 0;
+    const batch = this.db.batch();
     const arraySiblings = [];
     while (nodeValue.length === 2) {
       const bitLeaf = (claimIndex > (hiBinay.length - 1)) ? 0 : hiBinay[claimIndex];
@@ -104,26 +419,31 @@ class SparseMerkleTree {
     }
 
     if (nodeValue === emptyNodeValue) {
-      let nextHash = getHashFinalNode(hi, hv);
-      setNodeValue(this.db, nextHash, helpers.getArrayBuffFromArrayBigInt(currentClaim), this.prefix);
-      let concat = 0;
-      const level = arraySiblings.length - 1;
-      for (let i = level; i >= 0; i--) {
-        const bitLeaf = (i > (hiBinay.length - 1)) ? 0 : hiBinay[i];
-        const siblingTmp = arraySiblings[i];
-        concat = bitLeaf ? [siblingTmp, nextHash] : [nextHash, siblingTmp];
-        nextHash = helpers.bigIntToBuffer(mimc7.multiHash(helpers.getArrayBigIntFromBuffArray(concat)));
-        setNodeValue(this.db, nextHash, concat, this.prefix);
+      if (arraySiblings.length > this.maxLevels - 1) {
+        throw new ErrReachedMaxLevel();
       }
-      this.root = nextHash;
+      const newHash = helpers.getHashFinalNode(hi, hv, this.hasher);
+      setNodeValue(batch, newHash, helpers.getArrayBuffFromArrayBigInt(currentClaim), this.prefix);
+      const root = recalculatePathUntilRoot(batch, this.prefix, hiBinay, arraySiblings, newHash, this.hasher);
+      saveRoot(batch, root, this.prefix, this.hasher);
+      batch.commit();
+      this.root = root;
       return;
     }
 
     if (nodeValue.length === 4) {
       // get current node value and its hIndex
       const totalTmp = helpers.getArrayBigIntFromBuffArray(nodeValue);
-      let hiTmp = totalTmp.slice(2);
-      hiTmp = helpers.getIndexArray(mimc7.multiHash(hiTmp));
+      let hiTmp = this.hasher.multiHash(totalTmp.slice(2));
+      // same hash index would never split the branch
+      if (Buffer.compare(helpers.bigIntToBuffer(hiTmp), helpers.bigIntToBuffer(hi)) === 0) {
+        if (!overwrite) {
+          throw new ErrEntryIndexAlreadyExists();
+        }
+        this.updateClaim(claim);
+        return;
+      }
+      hiTmp = helpers.getIndexArray(hiTmp);
       // compare position index until find a split
       let compare = false;
       let pos = claimIndex;
@@ -137,34 +457,348 @@ class SparseMerkleTree {
         pos += 1;
       }
       arraySiblings.push(key);
+      if (arraySiblings.length > this.maxLevels - 1) {
+        throw new ErrReachedMaxLevel();
+      }
       // Write current branch with new claim added
-      const newHash = getHashFinalNode(hi, hv);
-      setNodeValue(this.db, newHash, helpers.getArrayBuffFromArrayBigInt(currentClaim), this.prefix);
+      const newHash = helpers.getHashFinalNode(hi, hv, this.hasher);
+      setNodeValue(batch, newHash, helpers.getArrayBuffFromArrayBigInt(currentClaim), this.prefix);
       // Recalculate nodes until the root
-      let concat = 0;
-      const level = arraySiblings.length - 1;
-      let nextHash = newHash;
-      for (let i = level; i >= 0; i--) {
-        const bitLeaf = (i > (hiBinay.length - 1)) ? 0 : hiBinay[i];
-        const siblingTmp = arraySiblings[i];
-        concat = bitLeaf ? [siblingTmp, nextHash] : [nextHash, siblingTmp];
-        nextHash = helpers.bigIntToBuffer(mimc7.multiHash(helpers.getArrayBigIntFromBuffArray(concat)));
-        setNodeValue(this.db, nextHash, concat, this.prefix);
+      const root = recalculatePathUntilRoot(batch, this.prefix, hiBinay, arraySiblings, newHash, this.hasher);
+      saveRoot(batch, root, this.prefix, this.hasher);
+      batch.commit();
+      this.root = root;
+    }
+  }
+
+  /**
+  * Adds a set of claims at once
+  * Merkle tree is built in memory, so every node is hashed just once, and all of them are written at the end.
+  * Resulting root is the same as adding the claims one by one.
+  * Throws ErrEntryIndexAlreadyExists if any hash index is repeated or already on the merkle tree
+  * Throws ErrReachedMaxLevel if any leaf should be placed deeper than the maximum level
+  * @param {Array(Array(bigInt))} claims - Claim data objects to be added to the merkle tree
+  */
+  addClaims(claims) {
+    checkWritable(this);
+    const leaves = [];
+    const hiList = {};
+    for (let i = 0; i < claims.length; i++) {
+      const hashes = helpers.getHiHv(claims[i], this.hasher);
+      const hi = helpers.bigIntToBuffer(hashes[0]);
+      const hiHex = utils.bytesToHex(hi);
+      if (hiList[hiHex]) {
+        throw new ErrEntryIndexAlreadyExists();
       }
-      this.root = nextHash;
+      hiList[hiHex] = true;
+      leaves.push({
+        hi,
+        hiBinary: helpers.getIndexArray(hashes[0]),
+        key: helpers.getHashFinalNode(hashes[0], hashes[1], this.hasher),
+        value: helpers.getArrayBuffFromArrayBigInt(claims[i]),
+      });
     }
+    const nodes = {};
+    const root = insertLeaves(this.db, this.prefix, this.root, leaves, 0, this.maxLevels, nodes, this.hasher);
+    // Flush all nodes computed into the database
+    const batch = this.db.batch();
+    Object.keys(nodes).forEach((keyHex) => {
+      setNodeValue(batch, nodes[keyHex].key, nodes[keyHex].value, this.prefix);
+    });
+    saveRoot(batch, root, this.prefix, this.hasher);
+    batch.commit();
+    this.root = root;
+  }
+
+  /**
+  * Removes the leaf placed at a given position
+  * Final node left alone on the branch is moved up until it finds a non-empty sibling,
+  * so the resulting root is the same as if the claim had never been added
+  * @param {Array(bigInt)} indexHi - Claim slice representing the index leaf generator
+  */
+  deleteClaim(indexHi) {
+    checkWritable(this);
+    const hi = this.hasher.multiHash(indexHi);
+    const hiBinary = helpers.getIndexArray(hi);
+    const { siblings } = findLeaf(this.db, this.prefix, this.root, hi, this.hasher);
+
+    // Final node substitute for the deleted leaf
+    let nextHash = emptyNodeValue;
+    while (siblings.length > 0) {
+      const sibling = siblings[siblings.length - 1];
+      if (Buffer.compare(sibling, emptyNodeValue) !== 0) {
+        // Only a final node with no other node alongside can be moved up
+        const isEmpty = Buffer.compare(nextHash, emptyNodeValue) === 0;
+        if (!isEmpty || getNodeValue(this.db, sibling, this.prefix).length !== 4) {
+          break;
+        }
+        nextHash = sibling;
+      }
+      siblings.pop();
+    }
+    const batch = this.db.batch();
+    const root = recalculatePathUntilRoot(batch, this.prefix, hiBinary, siblings, nextHash, this.hasher);
+    saveRoot(batch, root, this.prefix, this.hasher);
+    batch.commit();
+    this.root = root;
+  }
+
+  /**
+  * Replaces the value of an existing leaf
+  * Hash index of the claim must be already on the merkle tree
+  * @param {Array(bigInt)} claim - Claim data object with the new hash value
+  */
+  updateClaim(claim) {
+    checkWritable(this);
+    const hashes = helpers.getHiHv(claim, this.hasher);
+    const hi = hashes[0];
+    const hv = hashes[1];
+    const { siblings } = findLeaf(this.db, this.prefix, this.root, hi, this.hasher);
+
+    const newHash = helpers.getHashFinalNode(hi, hv, this.hasher);
+    const batch = this.db.batch();
+    setNodeValue(batch, newHash, helpers.getArrayBuffFromArrayBigInt(claim), this.prefix);
+    const root = recalculatePathUntilRoot(batch, this.prefix, helpers.getIndexArray(hi), siblings, newHash, this.hasher);
+    saveRoot(batch, root, this.prefix, this.hasher);
+    batch.commit();
+    this.root = root;
+  }
+
+  /**
+  * Adds a claim and returns the proof of the transition from the previous root to the new one
+  * Transition proof structure is as follows:
+  * {Number} fnc - 0 for an insertion, 1 for a deletion
+  * {Buffer} oldRoot - Root before the transition
+  * {Buffer} newRoot - Root after the transition
+  * {Array(Buffer)} siblings - Siblings of the leaf on the tree where it is present, sorted from the root to the leaf
+  * {Buffer} oldKey - Hash index of the leaf found on the position of the claim when it is not present, empty otherwise
+  * {Buffer} oldValue - Hash value of the leaf found on the position of the claim when it is not present, empty otherwise
+  * {Bool} isOld0 - True if there is no leaf on the position of the claim when it is not present
+  * {Buffer} newKey - Hash index of the claim
+  * {Buffer} newValue - Hash value of the claim
+  * @param {Array(bigInt)} claim - Claim data object to be added to the merkle tree
+  * @returns {Object} - Transition proof
+  */
+  addClaimWithProof(claim) {
+    const oldRoot = this.root;
+    const proofBefore = Proof.fromBuffer(this.generateProof(claim.slice(2)));
+    this.addClaim(claim);
+    const proofAfter = Proof.fromBuffer(this.generateProof(claim.slice(2)));
+    return getTransitionProof(0, oldRoot, this.root, claim, proofAfter, proofBefore);
+  }
+
+  /**
+  * Removes a claim and returns the proof of the transition from the previous root to the new one
+  * Transition proof has the same structure as the one returned by addClaimWithProof
+  * @param {Array(bigInt)} indexHi - Claim slice representing the index leaf generator
+  * @returns {Object} - Transition proof
+  */
+  deleteClaimWithProof(indexHi) {
+    const oldRoot = this.root;
+    const claim = this.getClaimByHi(indexHi);
+    const proofBefore = Proof.fromBuffer(this.generateProof(indexHi));
+    this.deleteClaim(indexHi);
+    const proofAfter = Proof.fromBuffer(this.generateProof(indexHi));
+    return getTransitionProof(1, oldRoot, this.root, claim, proofBefore, proofAfter);
+  }
+
+  /**
+  * Go through all the nodes of the merkle tree, starting from the root and visiting left children first
+  * Empty nodes are skipped
+  * @param {Function} callback - Function called with the key and the value of every node
+  * @param {Buffer} root - Root where the walk starts, current root by default
+  */
+  walk(callback, root = this.root) {
+    const pending = [root];
+    while (pending.length > 0) {
+      const key = pending.pop();
+      const nodeValue = getNodeValue(this.db, key, this.prefix);
+      if (nodeValue.length === 2) {
+        callback(key, nodeValue);
+        pending.push(nodeValue[1], nodeValue[0]);
+      } else if (nodeValue.length === 4) {
+        callback(key, nodeValue);
+      }
+    }
+  }
+
+  /**
+  * Retrieve an async iterator over all the leaves of the merkle tree
+  * Each iteration resolves to the claim stored on the leaf, as an array of bigInt
+  * @param {Buffer} root - Root where the iteration starts, current root by default
+  * @returns {Object} - Async iterator
+  */
+  entries(root = this.root) {
+    const pending = [root];
+    const self = this;
+    const iterator = {
+      next() {
+        while (pending.length > 0) {
+          const key = pending.pop();
+          const nodeValue = getNodeValue(self.db, key, self.prefix);
+          if (nodeValue.length === 2) {
+            pending.push(nodeValue[1], nodeValue[0]);
+          } else if (nodeValue.length === 4) {
+            return Promise.resolve({ value: helpers.getArrayBigIntFromBuffArray(nodeValue), done: false });
+          }
+        }
+        return Promise.resolve({ value: undefined, done: true });
+      },
+    };
+    // Allows 'for await' loops where async iteration is supported
+    if (typeof Symbol.asyncIterator !== 'undefined') {
+      iterator[Symbol.asyncIterator] = () => iterator;
+    }
+    return iterator;
+  }
+
+  /**
+  * Removes from the database all the nodes no longer reachable from the roots to keep
+  * Current root and the root stored are always kept, so the merkle tree remains usable
+  * @param {Object} options - Roots of the merkle tree which nodes must be kept
+  * @returns {Object} - Number of nodes deleted and bytes freed by removing their keys and values
+  */
+  prune({ keepRoots = [] } = {}) {
+    checkWritable(this);
+    const reachable = {};
+    [this.root, loadRoot(this.db, this.prefix)].concat(keepRoots).forEach((root) => {
+      checkRootStored(this.db, this.prefix, root);
+      this.walk((key) => { reachable[utils.bytesToHex(key)] = true; }, root);
+    });
+    let deletedNodes = 0;
+    let freedBytes = 0;
+    const batch = this.db.batch();
+    this.db.listKeys(this.prefix).forEach((dbKey) => {
+      // Prefix of another merkle tree may start with this prefix, only node keys of this merkle tree are removed
+      const keyHex = dbKey.slice(this.prefix.length);
+      if (!nodeKeyRegExp.test(keyHex) || reachable[keyHex]) {
+        return;
+      }
+      const valueHex = this.db.get(dbKey);
+      if (!isTreeNode(utils.hexToBytes(keyHex), valueHex, this.hasher)) {
+        return;
+      }
+      freedBytes += Buffer.byteLength(dbKey) + Buffer.byteLength(valueHex);
+      batch.delete(dbKey);
+      deletedNodes += 1;
+    });
+    batch.commit();
+    return { deletedNodes, freedBytes };
+  }
+
+  /**
+  * Retrieve all the claims of the merkle tree
+  * @param {Buffer} root - Root of the merkle tree to dump, current root by default
+  * @returns {Array(String)} - Hexadecimal string of each claim, encoded as its entry elements
+  */
+  dumpClaims(root = this.root) {
+    const claims = [];
+    this.walk((key, nodeValue) => {
+      if (nodeValue.length === 4) {
+        claims.push(utils.bytesToHex(Buffer.concat(nodeValue)));
+      }
+    }, root);
+    return claims;
+  }
+
+  /**
+  * Retrieve the keys of the nodes on the branch of a given leaf position
+  * @param {Array(bigInt)} indexHi - Claim slice representing the index leaf generator
+  * @param {Buffer} root - Root of the merkle tree
+  * @returns {Object} - Keys of the nodes found in hexadecimal
+  */
+  getPathKeys(indexHi, root = this.root) {
+    const hi = helpers.getIndexArray(this.hasher.multiHash(indexHi));
+    const path = {};
+    let key = root;
+    let nodeValue = getNodeValue(this.db, key, this.prefix);
+    let claimIndex = 0;
+    path[utils.bytesToHex(key)] = true;
+    while (nodeValue.length === 2) {
+      const bitLeaf = (claimIndex > (hi.length - 1)) ? 0 : hi[claimIndex];
+      key = bitLeaf ? nodeValue[1] : nodeValue[0];
+      path[utils.bytesToHex(key)] = true;
+      nodeValue = getNodeValue(this.db, key, this.prefix);
+      claimIndex += 1;
+    }
+    return path;
+  }
+
+  /**
+  * Retrieve the merkle tree in Graphviz format
+  * Middle nodes, final nodes and empty nodes are displayed with shortened hashes
+  * @param {Array(bigInt)} indexHi - Claim slice of a leaf which branch is highlighted, optional
+  * @param {Buffer} root - Root of the merkle tree to display, current root by default
+  * @returns {String} - Graph in dot language
+  */
+  toGraphviz(indexHi = undefined, root = this.root) {
+    const path = (indexHi === undefined) ? {} : this.getPathKeys(indexHi, root);
+    const lines = ['digraph hierarchy {', 'node [fontname=Monospace,fontsize=10,shape=box]'];
+    let numEmpty = 0;
+    const emptyNode = () => {
+      const name = `"empty${numEmpty}"`;
+      numEmpty += 1;
+      lines.push(`${name} [style=dashed,label=0];`);
+      return name;
+    };
+    this.walk((key, nodeValue) => {
+      const keyHex = utils.bytesToHex(key);
+      const highlight = path[keyHex] ? ',color=red' : '';
+      if (nodeValue.length === 2) {
+        const children = nodeValue.map(child => ((Buffer.compare(child, emptyNodeValue) === 0)
+          ? emptyNode() : `"${utils.bytesToHex(child)}"`));
+        lines.push(`"${keyHex}" [label="${shortHash(key)}"${highlight}];`);
+        lines.push(`"${keyHex}" -> {${children.join(' ')}}`);
+      } else {
+        lines.push(`"${keyHex}" [label="${shortHash(key)}",style=filled${highlight}];`);
+      }
+    }, root);
+    if (Buffer.compare(root, emptyNodeValue) === 0) {
+      emptyNode();
+    }
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+  * Retrieve a text representation of the merkle tree, one node per line indented by its level
+  * @param {Array(bigInt)} indexHi - Claim slice of a leaf which branch is marked, optional
+  * @param {Buffer} root - Root of the merkle tree to display, current root by default
+  * @returns {String} - Merkle tree ready to be printed
+  */
+  printTree(indexHi = undefined, root = this.root) {
+    const path = (indexHi === undefined) ? {} : this.getPathKeys(indexHi, root);
+    const lines = [];
+    const pending = [{ key: root, level: 0 }];
+    while (pending.length > 0) {
+      const { key, level } = pending.pop();
+      const nodeValue = getNodeValue(this.db, key, this.prefix);
+      const mark = path[utils.bytesToHex(key)] ? '* ' : '';
+      const indent = '  '.repeat(level);
+      if (nodeValue.length === 2) {
+        lines.push(`${indent}${mark}[middle] ${shortHash(key)}`);
+        pending.push({ key: nodeValue[1], level: level + 1 }, { key: nodeValue[0], level: level + 1 });
+      } else if (nodeValue.length === 4) {
+        lines.push(`${indent}${mark}[final] ${shortHash(key)}`);
+      } else {
+        lines.push(`${indent}[empty]`);
+      }
+    }
+    return lines.join('\n');
   }
 
   /**
   * Retrieve data for a given leaf position
   * @param {Array(bigInt)} indexHi - Claim slice representing the index leaf generator
+  * @param {Object} options - Root of the merkle tree to look into, current root by default
   * @returns {Array(bigInt)} - Data of the leaf given as a claim object
   */
-  getClaimByHi(indexHi) {
+  getClaimByHi(indexHi, { root = this.root } = {}) {
+    checkRootStored(this.db, this.prefix, root);
     // Compute hi of the claim
-    const hi = helpers.getIndexArray(mimc7.multiHash(indexHi));
+    const hi = helpers.getIndexArray(this.hasher.multiHash(indexHi));
     // Find last node written
-    let key = this.root;
+    let key = root;
     let nodeValue = getNodeValue(this.db, key, this.prefix);
     let claimIndex = 0;
     while (nodeValue.length === 2) {
@@ -176,16 +810,40 @@ class SparseMerkleTree {
     return helpers.getArrayBigIntFromBuffArray(nodeValue);
   }
 
+  /**
+  * Retrieve the claim stored on the leaf with a given hash index
+  * Throws ErrEntryIndexNotFound if there is no leaf with that hash index
+  * @param {Buffer} hashIndex - Hash index of the leaf
+  * @param {Object} options - Root of the merkle tree to look into, current root by default
+  * @returns {Array(bigInt)} - Data of the leaf given as a claim object
+  */
+  getClaimByHashIndex(hashIndex, { root = this.root } = {}) {
+    checkRootStored(this.db, this.prefix, root);
+    const { nodeValue } = findLeaf(this.db, this.prefix, root, helpers.bufferToBigInt(hashIndex), this.hasher);
+    return helpers.getArrayBigIntFromBuffArray(nodeValue);
+  }
+
   /**
   * Generates the merkle proof of the leaf at a given position
   * @param {Array[bigInt]} indexHi - Claim slice representing the index leaf generator
+  * @param {Object} options - Root of the merkle tree to generate the proof for, current root by default
   * @returns {Buffer} - Data containing merkle tree proof of existence or non-existence
   */
-  generateProof(indexHi) {
-    // Compute hi of the claim
-    const hi = helpers.getIndexArray(mimc7.multiHash(indexHi));
+  generateProof(indexHi, options = {}) {
+    return this.generateProofByHashIndex(helpers.bigIntToBuffer(this.hasher.multiHash(indexHi)), options);
+  }
+
+  /**
+  * Generates the merkle proof of the leaf at the position given by a hash index
+  * @param {Buffer} hashIndex - Hash index of the leaf
+  * @param {Object} options - Root of the merkle tree to generate the proof for, current root by default
+  * @returns {Buffer} - Data containing merkle tree proof of existence or non-existence
+  */
+  generateProofByHashIndex(hashIndex, { root = this.root } = {}) {
+    checkRootStored(this.db, this.prefix, root);
+    const hi = helpers.getIndexArray(helpers.bufferToBigInt(hashIndex));
     // Find last node written
-    let key = this.root;
+    let key = root;
     let claimIndex = 0;
     const arraySiblings = [];
     let nextSibling;
@@ -216,7 +874,7 @@ class SparseMerkleTree {
       // get current node value and its hIndex
       totalTmp = helpers.getArrayBigIntFromBuffArray(nodeValue);
       let hiTmp = totalTmp.slice(2);
-      hiTmp = helpers.getIndexArray(mimc7.multiHash(hiTmp));
+      hiTmp = helpers.getIndexArray(this.hasher.multiHash(hiTmp));
       // Check input index and node index
       let pos = claimIndex;
       while (!checkIndex && !((pos > hi.length - 1) && (pos > hiTmp.length - 1))) {
@@ -235,7 +893,8 @@ class SparseMerkleTree {
     }
 
     const flagExist = Buffer.alloc(1);
-    flagExist.writeUInt8(exist);
+    // Hasher identifier is set from bit 2 of the flags
+    flagExist.writeUInt8(exist | (this.hasher.id << 2));
     const flagLevel = Buffer.alloc(1);
     flagLevel.writeUInt8(claimIndex);
     let concat = [flagExist, flagLevel, indicatorSibling];
@@ -245,7 +904,7 @@ class SparseMerkleTree {
       buffTmp = Buffer.concat(concat);
     }
     if (checkIndex) {
-      const hashes = getHiHv(totalTmp);
+      const hashes = helpers.getHiHv(totalTmp, this.hasher);
       const hiFinal = helpers.bigIntToBuffer(hashes[0]);
       const hvFinal = helpers.bigIntToBuffer(hashes[1]);
       buffTmp = Buffer.concat([buffTmp, hiFinal, hvFinal]);
@@ -256,6 +915,7 @@ class SparseMerkleTree {
 
 /**
 * Verifies the merkle proof
+* Proof is checked with the hash function it records
 * @param  {String} rootHex - Hexadecimal string of the merkle tree root
 * @param  {String} proofHex - Hexadecimal string of the merkle tree proof
 * @param  {String} hiHex - Hexadecimal string of the leaf index hash
@@ -264,64 +924,71 @@ class SparseMerkleTree {
 */
 function checkProof(rootHex, proofHex, hiHex, hvHex) {
   const root = utils.hexToBytes(rootHex);
-  const proofBuff = helpers.parseProof(proofHex);
+  const proof = Proof.fromBuffer(utils.hexToBytes(proofHex));
   const hi = helpers.bufferToBigInt(utils.hexToBytes(hiHex));
   const hv = helpers.bufferToBigInt(utils.hexToBytes(hvHex));
-  const hvBuff = getHashFinalNode(hi, hv);
-  const hiBinay = helpers.getIndexArray(hi);
-  const { siblings } = proofBuff;
-  const arrayFullSiblings = [];
-  const siblingsIndex = proofBuff.siblingsBitIndex;
-  const flagNonExistence = helpers.getBit(proofBuff.flagExistence, 0);
-  const flagNonDiff = helpers.getBit(proofBuff.flagExistence, 1);
-  // First step --> if proof is non-existence-diff --> check nodekey is a final node
-  let exist = false;
-  let pos = 0;
-  let newHash = emptyNodeValue;
-  if (flagNonExistence && flagNonDiff) {
-    const hiTmp = helpers.bufferToBigInt(proofBuff.metaData.slice(0, 32));
-    const hvTmp = helpers.bufferToBigInt(proofBuff.metaData.slice(32, proofBuff.metaData.length));
-    const hiTmpBinary = helpers.getIndexArray(hiTmp);
-    while (!exist && !((pos > hiBinay.length - 1) && (pos > hiTmpBinary.length - 1))) {
-      const bitLeaf = (pos > (hiBinay.length - 1)) ? 0 : hiBinay[pos];
-      const bitLeafTmp = (pos > (hiTmpBinary.length - 1)) ? 0 : hiTmpBinary[pos];
-      exist = bitLeaf ^ bitLeafTmp;
-      pos += 1;
-    }
-    if (!exist) {
+  return proof.verifyHashes(root, hi, hv);
+}
+
+/**
+* Verifies a transition proof, as addClaimWithProof or deleteClaimWithProof return it
+* Checks the leaf is on the root where it should be present, and the root without the leaf
+* is the result of removing it from that branch
+* @param {Object} transition - Transition proof
+* @returns {Bool} - Result of the transition verification
+*/
+function checkTransitionProof(transition) {
+  const isDeletion = transition.fnc === 1;
+  const hasher = hashers.getHasher(transition.hasher);
+  const rootWith = isDeletion ? transition.oldRoot : transition.newRoot;
+  const rootWithout = isDeletion ? transition.newRoot : transition.oldRoot;
+  const hi = helpers.bufferToBigInt(transition.newKey);
+  const hiBinary = helpers.getIndexArray(hi);
+  const siblings = transition.siblings.slice();
+
+  // Leaf must be on the root where it is present
+  const leafKey = helpers.getHashFinalNode(hi, helpers.bufferToBigInt(transition.newValue), hasher);
+  if (Buffer.compare(helpers.getRootFromSiblings(hiBinary, siblings, leafKey, hasher), rootWith) !== 0) {
+    return false;
+  }
+
+  // Compute the root the branch has without the leaf
+  let nodeKey = emptyNodeValue;
+  if (!transition.isOld0) {
+    const hiOld = helpers.bufferToBigInt(transition.oldKey);
+    const hiOldBinary = helpers.getIndexArray(hiOld);
+    const oldLeafKey = helpers.getHashFinalNode(hiOld, helpers.bufferToBigInt(transition.oldValue), hasher);
+    // Old leaf is the last sibling, split from the new leaf on that level
+    if (siblings.length === 0 || Buffer.compare(siblings[siblings.length - 1], oldLeafKey) !== 0) {
       return false;
     }
-    newHash = getHashFinalNode(hiTmp, hvTmp);
-  }
-
-  // Second step --> Build structure to calculate root afterwards
-  let posSiblings = 0;
-  // Go through siblings until the root
-  for (let i = 0; i < proofBuff.siblingsLength; i++) {
-    const numByte = Math.floor(i / 8);
-    const flagBit = helpers.getBit(siblingsIndex[siblingsIndex.length - 1 - numByte], i % 8);
-    if (flagBit) {
-      arrayFullSiblings.push(siblings.slice(posSiblings * 32, (posSiblings + 1) * 32));
-      posSiblings += 1;
-    } else {
-      arrayFullSiblings.push(emptyNodeValue);
+    for (let i = 0; i < siblings.length; i++) {
+      const bitLeaf = (i > (hiBinary.length - 1)) ? 0 : hiBinary[i];
+      const bitLeafOld = (i > (hiOldBinary.length - 1)) ? 0 : hiOldBinary[i];
+      if ((bitLeaf ^ bitLeafOld) !== ((i === siblings.length - 1) ? 1 : 0)) {
+        return false;
+      }
+    }
+    // Old leaf goes up until it finds a non-empty sibling
+    siblings.pop();
+    while (siblings.length > 0 && Buffer.compare(siblings[siblings.length - 1], emptyNodeValue) === 0) {
+      siblings.pop();
     }
+    nodeKey = oldLeafKey;
   }
-
-  // Third Step --> Calculate root
-  let concat;
-  let nextHash = flagNonExistence ? newHash : hvBuff;
-  for (let i = arrayFullSiblings.length - 1; i >= 0; i--) {
-    const siblingTmp = arrayFullSiblings[i];
-    concat = hiBinay[i] ? [siblingTmp, nextHash] : [nextHash, siblingTmp];
-    nextHash = helpers.bigIntToBuffer(mimc7.multiHash(helpers.getArrayBigIntFromBuffArray(concat)));
-  }
-  return Buffer.compare(nextHash, root) === 0;
+  return Buffer.compare(helpers.getRootFromSiblings(hiBinary, siblings, nodeKey, hasher), rootWithout) === 0;
 }
 
 module.exports = {
   checkProof,
+  checkTransitionProof,
+  Proof,
   SparseMerkleTree,
+  ErrEntryIndexAlreadyExists,
+  ErrEntryIndexNotFound,
+  ErrReachedMaxLevel,
   emptyNodeValue,
-  getHiHv,
+  getHiHv: helpers.getHiHv,
+  hashers,
+  getCircuitInputs: circuitInputs.getCircuitInputs,
 };
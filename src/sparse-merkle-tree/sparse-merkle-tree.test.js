@@ -2,6 +2,7 @@ const chai = require('chai');
 const snarkjs = require('snarkjs');
 const iden3 = require('../index');
 const helpers = require('./sparse-merkle-tree-utils');
+const Entry = require('../claim/entry/entry');
 const mimc7 = require('./mimc7');
 
 const { bigInt } = snarkjs;
@@ -10,9 +11,16 @@ const { expect } = chai;
 const db = new iden3.Db();
 const idAddr = '0xq5soghj264eax651ghq1651485ccaxas98461251d5f1sdf6c51c5d1c6sd1c651';
 
+// Root is stored by identity, so every new tree gets its own identity to start empty
+let numTrees = 0;
+function newTree() {
+  numTrees += 1;
+  return new iden3.sparseMerkleTree.SparseMerkleTree(db, `${idAddr}-${numTrees}-`);
+}
+
 describe('[sparse-merkle-tree] Empty tree', () => {
   it('should be empty', () => {
-    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt = newTree();
     expect(iden3.utils.bytesToHex(mt.root)).to.be.equal('0x0000000000000000000000000000000000000000000000000000000000000000');
   });
 });
@@ -32,7 +40,7 @@ describe('[sparse-merkle-tree] Mimc7 hash function', () => {
 
 describe('[sparse-merkle-tree] Add Claim', () => {
   it('add one claim', () => {
-    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt = newTree();
     const claim = [bigInt(12), bigInt(45), bigInt(78), bigInt(41)];
     mt.addClaim(claim);
     expect(iden3.utils.bytesToHex(mt.root)).to.be.equal('0x112bae1c89a7a51a9a09e88c2f095bfe8a7d94d7c0cf5ba017a491c3e0b95c8f');
@@ -41,7 +49,7 @@ describe('[sparse-merkle-tree] Add Claim', () => {
 
 describe('[sparse-merkle-tree] Add two claims', () => {
   it('adding two claims', () => {
-    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt = newTree();
     const firstClaim = [bigInt(12), bigInt(45), bigInt(78), bigInt(41)];
     mt.addClaim(firstClaim);
     const secondClaim = [bigInt(33), bigInt(44), bigInt(55), bigInt(66)];
@@ -52,13 +60,13 @@ describe('[sparse-merkle-tree] Add two claims', () => {
 
 describe('[sparse-merkle-tree] Add claims in different orders into two different trees', () => {
   it('add claims in different orders into two trees', () => {
-    const mt1 = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt1 = newTree();
     for (let i = 0; i < 16; i++) {
       const claim = [bigInt(0), bigInt(i), bigInt(0), bigInt(i)];
       mt1.addClaim(claim);
     }
 
-    const mt2 = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt2 = newTree();
     for (let i = 15; i >= 0; i--) {
       const claim = [bigInt(0), bigInt(i), bigInt(0), bigInt(i)];
       mt2.addClaim(claim);
@@ -74,12 +82,12 @@ describe('[sparse-merkle-tree] Add claims in different orders into six different
     const claim2 = [bigInt(1111), bigInt(2222), bigInt(3333), bigInt(4444)];
     const claim3 = [bigInt(5555), bigInt(6666), bigInt(7777), bigInt(8888)];
 
-    const mt1 = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
-    const mt2 = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
-    const mt3 = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
-    const mt4 = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
-    const mt5 = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
-    const mt6 = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt1 = newTree();
+    const mt2 = newTree();
+    const mt3 = newTree();
+    const mt4 = newTree();
+    const mt5 = newTree();
+    const mt6 = newTree();
 
     mt1.addClaim(claim1);
     mt1.addClaim(claim2);
@@ -118,7 +126,7 @@ describe('[sparse-merkle-tree] Add claims in different orders into six different
 
 describe('[sparse-merkle-tree] Get claim by its index', () => {
   it('getClaimByHi', () => {
-    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt = newTree();
     const firstClaim = [bigInt(12), bigInt(45), bigInt(78), bigInt(41)];
     mt.addClaim(firstClaim);
     const secondClaim = [bigInt(33), bigInt(44), bigInt(55), bigInt(66)];
@@ -134,14 +142,14 @@ describe('[sparse-merkle-tree] Get claim by its index', () => {
 
 describe('[sparse-merkle-tree] Generate proof', () => {
   it('with 1 caim', () => {
-    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt = newTree();
     const firstClaim = [bigInt(12), bigInt(45), bigInt(78), bigInt(41)];
     mt.addClaim(firstClaim);
     const proof = mt.generateProof(firstClaim.slice(2));
     expect(iden3.utils.bytesToHex(proof)).to.be.equal('0x0000000000000000000000000000000000000000000000000000000000000000');
   });
   it('with 4 claims', () => {
-    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt = newTree();
     for (let i = 0; i < 4; i++) {
       const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(i)];
       mt.addClaim(claim);
@@ -158,7 +166,7 @@ describe('[sparse-merkle-tree] Generate proof', () => {
                                                       + '05086d2d031b3aeb91b850c7a0280499ded7ba4b8b25caffff5dc754ed207eb8');
   });
   it('with 64 claims', () => {
-    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt = newTree();
     for (let i = 0; i < 64; i++) {
       const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(i)];
       mt.addClaim(claim);
@@ -183,7 +191,7 @@ describe('[sparse-merkle-tree] Generate proof', () => {
 
 describe('[sparse-merkle-tree] Verify proof', () => {
   it('proof-of-existence', () => {
-    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt = newTree();
     for (let i = 0; i < 8; i++) {
       const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(i)];
       mt.addClaim(claim);
@@ -204,7 +212,7 @@ describe('[sparse-merkle-tree] Verify proof', () => {
     expect(check).to.be.equal(true);
   });
   it('proof-of-non-existence non empty node value', () => {
-    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt = newTree();
     for (let i = 0; i < 8; i++) {
       const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(i)];
       mt.addClaim(claim);
@@ -227,7 +235,7 @@ describe('[sparse-merkle-tree] Verify proof', () => {
     expect(check).to.be.equal(true);
   });
   it('proof-of-non-existence empty node value', () => {
-    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt = newTree();
     for (let i = 0; i < 8; i++) {
       const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(i)];
       mt.addClaim(claim);
@@ -252,7 +260,7 @@ describe('[sparse-merkle-tree] Verify proof', () => {
 
 describe('[sparse-merkle-tree] Verify trick proofs', () => {
   it('invalid claim argument', () => {
-    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt = newTree();
     for (let i = 0; i < 8; i++) {
       const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(i)];
       mt.addClaim(claim);
@@ -271,7 +279,7 @@ describe('[sparse-merkle-tree] Verify trick proofs', () => {
     expect(check).to.be.equal(false);
   });
   it('invalid non-existence proof', () => {
-    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddr);
+    const mt = newTree();
     for (let i = 0; i < 8; i++) {
       const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(i)];
       mt.addClaim(claim);
@@ -293,3 +301,677 @@ describe('[sparse-merkle-tree] Verify trick proofs', () => {
     expect(check).to.be.equal(false);
   });
 });
+
+describe('[sparse-merkle-tree] Delete claim', () => {
+  const claim1 = [bigInt(33), bigInt(44), bigInt(55), bigInt(66)];
+  const claim2 = [bigInt(1111), bigInt(2222), bigInt(3333), bigInt(4444)];
+  const claim3 = [bigInt(5555), bigInt(6666), bigInt(7777), bigInt(8888)];
+
+  it('delete only claim', () => {
+    const mt = newTree();
+    mt.addClaim(claim1);
+    mt.deleteClaim(claim1.slice(2));
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.equal('0x0000000000000000000000000000000000000000000000000000000000000000');
+  });
+  it('delete claim and compare with tree that never had it', () => {
+    const mt1 = newTree();
+    mt1.addClaim(claim1);
+    mt1.addClaim(claim2);
+    mt1.addClaim(claim3);
+    mt1.deleteClaim(claim2.slice(2));
+
+    const mt2 = newTree();
+    mt2.addClaim(claim1);
+    mt2.addClaim(claim3);
+    expect(iden3.utils.bytesToHex(mt1.root)).to.be.equal(iden3.utils.bytesToHex(mt2.root));
+
+    mt1.deleteClaim(claim3.slice(2));
+    const mt3 = newTree();
+    mt3.addClaim(claim1);
+    expect(iden3.utils.bytesToHex(mt1.root)).to.be.equal(iden3.utils.bytesToHex(mt3.root));
+  });
+  it('delete claims until empty tree', () => {
+    const mt = newTree();
+    for (let i = 0; i < 8; i++) {
+      const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(i)];
+      mt.addClaim(claim);
+    }
+    const mt2 = newTree();
+    for (let i = 0; i < 4; i++) {
+      const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(i)];
+      mt2.addClaim(claim);
+    }
+    for (let i = 7; i >= 4; i--) {
+      mt.deleteClaim([bigInt(0), bigInt(i)]);
+    }
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.equal(iden3.utils.bytesToHex(mt2.root));
+    for (let i = 0; i < 4; i++) {
+      mt.deleteClaim([bigInt(0), bigInt(i)]);
+    }
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.equal('0x0000000000000000000000000000000000000000000000000000000000000000');
+  });
+  it('verify proofs after deletion', () => {
+    const mt = newTree();
+    mt.addClaim(claim1);
+    mt.addClaim(claim2);
+    mt.addClaim(claim3);
+    mt.deleteClaim(claim2.slice(2));
+    const rootHex = iden3.utils.bytesToHex(mt.root);
+
+    const proofDeleted = iden3.utils.bytesToHex(mt.generateProof(claim2.slice(2)));
+    let hashes = iden3.sparseMerkleTree.getHiHv(claim2);
+    let hiHex = iden3.utils.bytesToHex(helpers.bigIntToBuffer(hashes[0]));
+    let hvHex = iden3.utils.bytesToHex(helpers.bigIntToBuffer(hashes[1]));
+    expect(helpers.getBit(helpers.parseProof(proofDeleted).flagExistence, 0)).to.be.equal(1);
+    expect(iden3.sparseMerkleTree.checkProof(rootHex, proofDeleted, hiHex, hvHex)).to.be.equal(true);
+
+    const proofKept = iden3.utils.bytesToHex(mt.generateProof(claim3.slice(2)));
+    hashes = iden3.sparseMerkleTree.getHiHv(claim3);
+    hiHex = iden3.utils.bytesToHex(helpers.bigIntToBuffer(hashes[0]));
+    hvHex = iden3.utils.bytesToHex(helpers.bigIntToBuffer(hashes[1]));
+    expect(iden3.sparseMerkleTree.checkProof(rootHex, proofKept, hiHex, hvHex)).to.be.equal(true);
+  });
+  it('delete non-existing claim', () => {
+    const mt = newTree();
+    mt.addClaim(claim1);
+    mt.addClaim(claim3);
+    expect(() => mt.deleteClaim(claim2.slice(2))).to.throw(iden3.sparseMerkleTree.ErrEntryIndexNotFound);
+  });
+});
+
+describe('[sparse-merkle-tree] Update claim', () => {
+  it('update claim value', () => {
+    const mt1 = newTree();
+    const mt2 = newTree();
+    for (let i = 0; i < 4; i++) {
+      const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(i)];
+      mt1.addClaim(claim);
+      mt2.addClaim(i === 2 ? [bigInt(7), bigInt(8), bigInt(0), bigInt(i)] : claim);
+    }
+    const updatedClaim = [bigInt(7), bigInt(8), bigInt(0), bigInt(2)];
+    mt1.updateClaim(updatedClaim);
+    expect(iden3.utils.bytesToHex(mt1.root)).to.be.equal(iden3.utils.bytesToHex(mt2.root));
+
+    const totalClaim = mt1.getClaimByHi(updatedClaim.slice(2));
+    expect(totalClaim[0].value).to.be.equal(updatedClaim[0].value);
+    expect(totalClaim[1].value).to.be.equal(updatedClaim[1].value);
+
+    const proofHex = iden3.utils.bytesToHex(mt1.generateProof(updatedClaim.slice(2)));
+    const hashes = iden3.sparseMerkleTree.getHiHv(updatedClaim);
+    const hiHex = iden3.utils.bytesToHex(helpers.bigIntToBuffer(hashes[0]));
+    const hvHex = iden3.utils.bytesToHex(helpers.bigIntToBuffer(hashes[1]));
+    const rootHex = iden3.utils.bytesToHex(mt1.root);
+    expect(iden3.sparseMerkleTree.checkProof(rootHex, proofHex, hiHex, hvHex)).to.be.equal(true);
+  });
+  it('update non-existing claim', () => {
+    const mt = newTree();
+    mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(1)]);
+    expect(() => mt.updateClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(2)])).to.throw(iden3.sparseMerkleTree.ErrEntryIndexNotFound);
+  });
+});
+
+describe('[sparse-merkle-tree] Persist root', () => {
+  const claim1 = [bigInt(33), bigInt(44), bigInt(55), bigInt(66)];
+  const claim2 = [bigInt(1111), bigInt(2222), bigInt(3333), bigInt(4444)];
+  const idAddrPersist = `${idAddr}-persist-`;
+
+  it('load root when tree is created again', () => {
+    const mt1 = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddrPersist);
+    mt1.addClaim(claim1);
+    mt1.addClaim(claim2);
+    const mt2 = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddrPersist);
+    expect(iden3.utils.bytesToHex(mt2.root)).to.be.equal(iden3.utils.bytesToHex(mt1.root));
+    const totalClaim = mt2.getClaimByHi(claim2.slice(2));
+    expect(totalClaim[0].value).to.be.equal(claim2[0].value);
+    expect(totalClaim[1].value).to.be.equal(claim2[1].value);
+  });
+  it('load historic root', () => {
+    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddrPersist);
+    mt.deleteClaim(claim2.slice(2));
+    const oldRoot = mt.root;
+    mt.addClaim(claim2);
+    mt.loadFromRoot(oldRoot);
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.equal(iden3.utils.bytesToHex(oldRoot));
+
+    const proofHex = iden3.utils.bytesToHex(mt.generateProof(claim1.slice(2)));
+    const hashes = iden3.sparseMerkleTree.getHiHv(claim1);
+    const hiHex = iden3.utils.bytesToHex(helpers.bigIntToBuffer(hashes[0]));
+    const hvHex = iden3.utils.bytesToHex(helpers.bigIntToBuffer(hashes[1]));
+    expect(iden3.sparseMerkleTree.checkProof(iden3.utils.bytesToHex(oldRoot), proofHex, hiHex, hvHex)).to.be.equal(true);
+
+    // Root stored is still the last one
+    const mt2 = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddrPersist);
+    expect(iden3.utils.bytesToHex(mt2.root)).to.not.be.equal(iden3.utils.bytesToHex(oldRoot));
+    // Nodes of the root stored are kept when pruning the historic root
+    mt.prune();
+    expect(mt2.getClaimByHi(claim2.slice(2))).to.be.deep.equal(claim2);
+  });
+  it('persist historic root', () => {
+    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddrPersist);
+    mt.deleteClaim(claim2.slice(2));
+    const oldRoot = mt.root;
+    mt.addClaim(claim2);
+    mt.loadFromRoot(oldRoot, { persist: true });
+    const mt2 = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddrPersist);
+    expect(iden3.utils.bytesToHex(mt2.root)).to.be.equal(iden3.utils.bytesToHex(oldRoot));
+  });
+  it('open historic root of a tree stored under the identity prefix', () => {
+    const source = newTree();
+    source.addClaim(claim1);
+    const oldRoot = source.root;
+    source.addClaim(claim2);
+    // Layout of the stored tree: nodes and root under i3mt-<idAddr>
+    const dbCopy = new iden3.Db(new iden3.MemoryBackend());
+    db.iterate(`i3mt-${source.idAddr}`, (key, value) => dbCopy.insert(key, value));
+    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(dbCopy, source.idAddr);
+    expect(mt.root).to.be.deep.equal(source.root);
+    mt.loadFromRoot(oldRoot);
+    expect(mt.getClaimByHi(claim1.slice(2))).to.be.deep.equal(claim1);
+  });
+  it('load root not stored', () => {
+    const mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, idAddrPersist);
+    expect(() => mt.loadFromRoot(Buffer.alloc(32, 1))).to.throw('Root not found in database');
+  });
+});
+
+describe('[sparse-merkle-tree] Add claim with existing index', () => {
+  const claim = [bigInt(12), bigInt(45), bigInt(78), bigInt(41)];
+  const claimSameIndex = [bigInt(13), bigInt(46), bigInt(78), bigInt(41)];
+
+  it('throw error if index already exists', () => {
+    const mt = newTree();
+    mt.addClaim(claim);
+    const rootBefore = iden3.utils.bytesToHex(mt.root);
+    expect(() => mt.addClaim(claimSameIndex)).to.throw(iden3.sparseMerkleTree.ErrEntryIndexAlreadyExists);
+    expect(() => mt.addClaim(claim)).to.throw(iden3.sparseMerkleTree.ErrEntryIndexAlreadyExists);
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.equal(rootBefore);
+  });
+  it('throw error if index already exists on a deeper leaf', () => {
+    const mt = newTree();
+    for (let i = 0; i < 4; i++) {
+      mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    }
+    const rootBefore = iden3.utils.bytesToHex(mt.root);
+    expect(() => mt.addClaim([bigInt(1), bigInt(1), bigInt(0), bigInt(2)])).to.throw(iden3.sparseMerkleTree.ErrEntryIndexAlreadyExists);
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.equal(rootBefore);
+  });
+  it('overwrite leaf with the same index', () => {
+    const mt1 = newTree();
+    mt1.addClaim(claim);
+    mt1.addClaim(claimSameIndex, true);
+    const mt2 = newTree();
+    mt2.addClaim(claimSameIndex);
+    expect(iden3.utils.bytesToHex(mt1.root)).to.be.equal(iden3.utils.bytesToHex(mt2.root));
+    const totalClaim = mt1.getClaimByHi(claim.slice(2));
+    expect(totalClaim[0].value).to.be.equal(claimSameIndex[0].value);
+  });
+});
+
+describe('[sparse-merkle-tree] Add claims in batch', () => {
+  it('same root as adding claims one by one', () => {
+    const mt = newTree();
+    const claims = [];
+    for (let i = 0; i < 16; i++) {
+      claims.push([bigInt(0), bigInt(i), bigInt(0), bigInt(i)]);
+    }
+    mt.addClaims(claims);
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.equal('0x173fd27f6622526dfb21c4d8d83e3c95adba5d8f46a397113e4e80e629c6de76');
+    const totalClaim = mt.getClaimByHi([bigInt(0), bigInt(9)]);
+    expect(totalClaim[1].value).to.be.equal(bigInt(9).value);
+  });
+  it('add claims in batch to a non empty tree', () => {
+    const mt1 = newTree();
+    const mt2 = newTree();
+    const claims = [];
+    for (let i = 0; i < 8; i++) {
+      const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(i)];
+      mt1.addClaim(claim);
+      if (i < 3) {
+        mt2.addClaim(claim);
+      } else {
+        claims.push(claim);
+      }
+    }
+    mt2.addClaims(claims);
+    expect(iden3.utils.bytesToHex(mt2.root)).to.be.equal(iden3.utils.bytesToHex(mt1.root));
+
+    const proofClaim = [bigInt(0), bigInt(0), bigInt(0), bigInt(4)];
+    const proofHex = iden3.utils.bytesToHex(mt2.generateProof(proofClaim.slice(2)));
+    const hashes = iden3.sparseMerkleTree.getHiHv(proofClaim);
+    const hiHex = iden3.utils.bytesToHex(helpers.bigIntToBuffer(hashes[0]));
+    const hvHex = iden3.utils.bytesToHex(helpers.bigIntToBuffer(hashes[1]));
+    expect(iden3.sparseMerkleTree.checkProof(iden3.utils.bytesToHex(mt2.root), proofHex, hiHex, hvHex)).to.be.equal(true);
+  });
+  it('throw error on repeated index', () => {
+    const mt = newTree();
+    mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(1)]);
+    const rootBefore = iden3.utils.bytesToHex(mt.root);
+    const repeatedInBatch = [[bigInt(0), bigInt(0), bigInt(0), bigInt(2)], [bigInt(1), bigInt(0), bigInt(0), bigInt(2)]];
+    expect(() => mt.addClaims(repeatedInBatch)).to.throw(iden3.sparseMerkleTree.ErrEntryIndexAlreadyExists);
+    const repeatedInTree = [[bigInt(0), bigInt(0), bigInt(0), bigInt(2)], [bigInt(1), bigInt(0), bigInt(0), bigInt(1)]];
+    expect(() => mt.addClaims(repeatedInTree)).to.throw(iden3.sparseMerkleTree.ErrEntryIndexAlreadyExists);
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.equal(rootBefore);
+  });
+});
+
+describe('[sparse-merkle-tree] Walk through the tree', () => {
+  let mt;
+  const claims = [];
+  before('Create merkle tree', () => {
+    mt = newTree();
+    for (let i = 0; i < 4; i++) {
+      claims.push([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    }
+    mt.addClaims(claims);
+  });
+
+  it('walk all nodes', () => {
+    let numLeaves = 0;
+    let numMiddle = 0;
+    mt.walk((key, nodeValue) => {
+      if (nodeValue.length === 4) { numLeaves += 1; } else { numMiddle += 1; }
+    });
+    expect(numLeaves).to.be.equal(4);
+    expect(numMiddle).to.be.above(2);
+  });
+  it('iterate over all leaves', () => {
+    const iterator = mt.entries();
+    const found = [];
+    const collect = () => iterator.next().then((res) => {
+      if (res.done) { return found; }
+      found.push(res.value[3].value);
+      return collect();
+    });
+    return collect().then((values) => {
+      expect(values.sort()).to.be.deep.equal(claims.map(claim => claim[3].value).sort());
+    });
+  });
+  it('dump claims', () => {
+    const dump = mt.dumpClaims();
+    expect(dump.length).to.be.equal(4);
+    const entry = new Entry();
+    entry.elements = helpers.getArrayBuffFromArrayBigInt(claims[2]);
+    expect(dump).to.include(entry.toHexadecimal());
+  });
+  it('dump claims from a given root', () => {
+    const mt2 = newTree();
+    const oldRoot = mt2.root;
+    mt2.addClaim(claims[0]);
+    const root1 = mt2.root;
+    mt2.addClaim(claims[1]);
+    expect(mt2.dumpClaims(oldRoot).length).to.be.equal(0);
+    expect(mt2.dumpClaims(root1).length).to.be.equal(1);
+    expect(mt2.dumpClaims().length).to.be.equal(2);
+  });
+});
+
+describe('[sparse-merkle-tree] Display tree', () => {
+  let mt;
+  const claim1 = [bigInt(12), bigInt(45), bigInt(78), bigInt(41)];
+  const claim2 = [bigInt(33), bigInt(44), bigInt(55), bigInt(66)];
+  before('Create merkle tree', () => {
+    mt = newTree();
+    mt.addClaims([claim1, claim2]);
+  });
+
+  it('graphviz', () => {
+    const graph = mt.toGraphviz();
+    const rootHex = iden3.utils.bytesToHex(mt.root);
+    expect(graph.startsWith('digraph hierarchy {')).to.be.equal(true);
+    expect(graph).to.include(`"${rootHex}" [label="${rootHex.slice(0, 10)}..."];`);
+    expect(graph.match(/style=filled/g).length).to.be.equal(2);
+    expect(graph).to.not.include('color=red');
+  });
+  it('graphviz highlighting a leaf branch', () => {
+    const graph = mt.toGraphviz(claim2.slice(2));
+    const hashes = iden3.sparseMerkleTree.getHiHv(claim2);
+    const leafKey = iden3.utils.bytesToHex(helpers.getHashFinalNode(hashes[0], hashes[1]));
+    expect(graph).to.include(`"${leafKey}" [label="${leafKey.slice(0, 10)}...",style=filled,color=red];`);
+    expect(graph.match(/color=red/g).length).to.be.equal(Object.keys(mt.getPathKeys(claim2.slice(2))).length);
+  });
+  it('graphviz of empty tree', () => {
+    const graph = newTree().toGraphviz();
+    expect(graph).to.include('"empty0" [style=dashed,label=0];');
+  });
+  it('print tree', () => {
+    const text = mt.printTree(claim1.slice(2));
+    const lines = text.split('\n');
+    expect(lines[0]).to.be.equal(`* [middle] ${iden3.utils.bytesToHex(mt.root).slice(0, 10)}...`);
+    expect(lines.filter(line => line.includes('[final]')).length).to.be.equal(2);
+    expect(lines.filter(line => line.includes('* ')).length).to.be.equal(Object.keys(mt.getPathKeys(claim1.slice(2))).length);
+  });
+});
+
+describe('[sparse-merkle-tree] Maximum levels', () => {
+  let numTreesLevels = 0;
+  function newTreeLevels(maxLevels) {
+    numTreesLevels += 1;
+    return new iden3.sparseMerkleTree.SparseMerkleTree(db, `${idAddr}-levels-${numTreesLevels}-`, maxLevels);
+  }
+
+  it('invalid maximum levels', () => {
+    expect(() => newTreeLevels(0)).to.throw('Maximum levels must be between 1 and 240');
+    expect(() => newTreeLevels(241)).to.throw('Maximum levels must be between 1 and 240');
+  });
+  it('reject leaf deeper than maximum level', () => {
+    const mt = newTreeLevels(2);
+    mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(0)]);
+    let rootBefore;
+    expect(() => {
+      for (let i = 1; i < 3; i++) {
+        rootBefore = iden3.utils.bytesToHex(mt.root);
+        mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+      }
+    }).to.throw(iden3.sparseMerkleTree.ErrReachedMaxLevel);
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.equal(rootBefore);
+  });
+  it('reject leaf deeper than maximum level in batch', () => {
+    const mt = newTreeLevels(2);
+    const claims = [];
+    for (let i = 0; i < 3; i++) {
+      claims.push([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    }
+    expect(() => mt.addClaims(claims)).to.throw(iden3.sparseMerkleTree.ErrReachedMaxLevel);
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.equal('0x0000000000000000000000000000000000000000000000000000000000000000');
+  });
+  it('siblings padded to maximum levels', () => {
+    const mt = newTreeLevels(10);
+    const claims = [];
+    for (let i = 0; i < 4; i++) {
+      claims.push([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    }
+    mt.addClaims(claims);
+    const proof = iden3.sparseMerkleTree.Proof.fromBuffer(mt.generateProof(claims[2].slice(2)));
+    const siblings = proof.getSiblingsPadded(mt.maxLevels);
+    expect(siblings.length).to.be.equal(10);
+    expect(iden3.utils.bytesToHex(helpers.bigIntToBuffer(siblings[0]))).to.be.equal(iden3.utils.bytesToHex(proof.siblings[0]));
+    expect(siblings[9].isZero()).to.be.equal(true);
+    expect(() => proof.getSiblingsPadded(proof.depth - 1)).to.throw('Proof depth is greater than maximum levels');
+  });
+});
+
+describe('[sparse-merkle-tree] Transition proofs', () => {
+  const { checkTransitionProof } = iden3.sparseMerkleTree;
+
+  it('insertion on empty tree, empty leaf and split leaf', () => {
+    const mt = newTree();
+    for (let i = 0; i < 16; i++) {
+      const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(i)];
+      const oldRoot = mt.root;
+      const transition = mt.addClaimWithProof(claim);
+      expect(transition.fnc).to.be.equal(0);
+      expect(Buffer.compare(transition.oldRoot, oldRoot)).to.be.equal(0);
+      expect(Buffer.compare(transition.newRoot, mt.root)).to.be.equal(0);
+      expect(checkTransitionProof(transition)).to.be.equal(true);
+    }
+  });
+  it('old leaf data of the insertion', () => {
+    const mt = newTree();
+    const first = mt.addClaimWithProof([bigInt(0), bigInt(0), bigInt(0), bigInt(0)]);
+    expect(first.isOld0).to.be.equal(true);
+    expect(first.siblings.length).to.be.equal(0);
+    const second = mt.addClaimWithProof([bigInt(0), bigInt(0), bigInt(0), bigInt(1)]);
+    const hashes = helpers.getHiHv([bigInt(0), bigInt(0), bigInt(0), bigInt(0)]);
+    expect(second.isOld0).to.be.equal(false);
+    expect(helpers.bufferToBigInt(second.oldKey).equals(hashes[0])).to.be.equal(true);
+    expect(helpers.bufferToBigInt(second.oldValue).equals(hashes[1])).to.be.equal(true);
+    expect(Buffer.compare(second.oldRoot, first.newRoot)).to.be.equal(0);
+    expect(checkTransitionProof(second)).to.be.equal(true);
+  });
+  it('deletion', () => {
+    const mt = newTree();
+    const claims = [];
+    for (let i = 0; i < 16; i++) {
+      claims.push([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    }
+    mt.addClaims(claims);
+    for (let i = 0; i < claims.length; i++) {
+      const oldRoot = mt.root;
+      const transition = mt.deleteClaimWithProof(claims[i].slice(2));
+      expect(transition.fnc).to.be.equal(1);
+      expect(Buffer.compare(transition.oldRoot, oldRoot)).to.be.equal(0);
+      expect(checkTransitionProof(transition)).to.be.equal(true);
+    }
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.equal('0x0000000000000000000000000000000000000000000000000000000000000000');
+  });
+  it('reject tampered transitions', () => {
+    const mt = newTree();
+    for (let i = 0; i < 4; i++) {
+      mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    }
+    const transition = mt.addClaimWithProof([bigInt(0), bigInt(0), bigInt(0), bigInt(10)]);
+    expect(checkTransitionProof(transition)).to.be.equal(true);
+    // Different claim value
+    const claimHashes = helpers.getHiHv([bigInt(0), bigInt(1), bigInt(0), bigInt(10)]);
+    const newValue = helpers.bigIntToBuffer(claimHashes[1]);
+    expect(checkTransitionProof(Object.assign({}, transition, { newValue }))).to.be.equal(false);
+    // Roots swapped
+    const swapped = Object.assign({}, transition, { oldRoot: transition.newRoot, newRoot: transition.oldRoot });
+    expect(checkTransitionProof(swapped)).to.be.equal(false);
+    // Old leaf omitted
+    expect(checkTransitionProof(Object.assign({}, transition, { isOld0: !transition.isOld0 }))).to.be.equal(false);
+  });
+  it('failed insertion does not change the tree', () => {
+    const mt = newTree();
+    mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(1)]);
+    const root = iden3.utils.bytesToHex(mt.root);
+    const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(1)];
+    expect(() => mt.addClaimWithProof(claim)).to.throw(iden3.sparseMerkleTree.ErrEntryIndexAlreadyExists);
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.equal(root);
+  });
+});
+
+describe('[sparse-merkle-tree] Snapshots and historic roots', () => {
+  let mt;
+  let oldRoot;
+  const claims = [];
+  before('Create merkle tree and publish a root', () => {
+    mt = newTree();
+    for (let i = 0; i < 4; i++) {
+      claims.push([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    }
+    mt.addClaims(claims);
+    oldRoot = mt.root;
+    for (let i = 4; i < 8; i++) {
+      mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    }
+  });
+
+  it('proofs against an old root keep verifying', () => {
+    const { Proof } = iden3.sparseMerkleTree;
+    for (let i = 0; i < claims.length; i++) {
+      const proof = Proof.fromBuffer(mt.generateProof(claims[i].slice(2), { root: oldRoot }));
+      expect(proof.existence).to.be.equal(true);
+      expect(proof.verify(oldRoot, claims[i])).to.be.equal(true);
+    }
+    // Claim added afterwards is not on the old root
+    const claimNew = [bigInt(0), bigInt(0), bigInt(0), bigInt(6)];
+    const proofOld = Proof.fromBuffer(mt.generateProof(claimNew.slice(2), { root: oldRoot }));
+    expect(proofOld.existence).to.be.equal(false);
+    expect(proofOld.verify(oldRoot, claimNew)).to.be.equal(true);
+    const proofCurrent = Proof.fromBuffer(mt.generateProof(claimNew.slice(2)));
+    expect(proofCurrent.existence).to.be.equal(true);
+    expect(proofCurrent.verify(mt.root, claimNew)).to.be.equal(true);
+  });
+  it('get claim by index on an old root', () => {
+    const claimNew = [bigInt(0), bigInt(0), bigInt(0), bigInt(6)];
+    const claimCurrent = mt.getClaimByHi(claimNew.slice(2));
+    expect(claimCurrent[3].equals(bigInt(6))).to.be.equal(true);
+    const claimOld = mt.getClaimByHi(claimNew.slice(2), { root: oldRoot });
+    expect(claimOld[3].equals(bigInt(6))).to.be.equal(false);
+  });
+  it('snapshot is a read-only view of an old root', () => {
+    const snapshot = mt.snapshot(oldRoot);
+    expect(iden3.utils.bytesToHex(snapshot.root)).to.be.equal(iden3.utils.bytesToHex(oldRoot));
+    const proof = iden3.sparseMerkleTree.Proof.fromBuffer(snapshot.generateProof(claims[1].slice(2)));
+    expect(proof.verify(oldRoot, claims[1])).to.be.equal(true);
+    const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(20)];
+    expect(() => snapshot.addClaim(claim)).to.throw('Merkle tree snapshot is read-only');
+    expect(() => snapshot.addClaims([claim])).to.throw('Merkle tree snapshot is read-only');
+    expect(() => snapshot.deleteClaim(claims[0].slice(2))).to.throw('Merkle tree snapshot is read-only');
+    expect(() => snapshot.updateClaim(claims[0])).to.throw('Merkle tree snapshot is read-only');
+    expect(() => snapshot.loadFromRoot(mt.root)).to.throw('Merkle tree snapshot is read-only');
+    // Original tree keeps its current root
+    expect(Buffer.compare(mt.root, oldRoot)).to.be.not.equal(0);
+    const reloaded = new iden3.sparseMerkleTree.SparseMerkleTree(db, mt.idAddr);
+    expect(iden3.utils.bytesToHex(reloaded.root)).to.be.equal(iden3.utils.bytesToHex(mt.root));
+  });
+  it('unknown root', () => {
+    const root = helpers.bigIntToBuffer(bigInt(1));
+    expect(() => mt.snapshot(root)).to.throw('Root not found in database');
+    expect(() => mt.generateProof(claims[0].slice(2), { root })).to.throw('Root not found in database');
+  });
+});
+
+describe('[sparse-merkle-tree] Prune orphaned nodes', () => {
+  function countNodes(mt) {
+    let count = 0;
+    mt.walk(() => { count += 1; });
+    return count;
+  }
+  function countStored(mt) {
+    return db.listKeys(mt.prefix).filter(key => /^0x[0-9a-f]{64}$/.test(key.replace(mt.prefix, ''))).length;
+  }
+
+  it('keep listed roots and remove the rest of nodes', () => {
+    const mt = newTree();
+    // Tree which prefix extends the one of the pruned tree must not be affected
+    const mtOther = new iden3.sparseMerkleTree.SparseMerkleTree(db, `${mt.idAddr}other-`);
+    mtOther.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(1)]);
+    const storedOther = countStored(mtOther);
+
+    const claims = [];
+    for (let i = 0; i < 8; i++) {
+      claims.push([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    }
+    mt.addClaim(claims[0]);
+    mt.addClaim(claims[1]);
+    const oldRoot = mt.root;
+    for (let i = 2; i < claims.length; i++) {
+      mt.addClaim(claims[i]);
+    }
+    const storedBefore = countStored(mt);
+
+    const result = mt.prune({ keepRoots: [oldRoot] });
+    expect(result.deletedNodes).to.be.above(0);
+    expect(result.freedBytes).to.be.above(0);
+    expect(countStored(mt)).to.be.equal(storedBefore - result.deletedNodes);
+    const proof = iden3.sparseMerkleTree.Proof.fromBuffer(mt.generateProof(claims[1].slice(2), { root: oldRoot }));
+    expect(proof.verify(oldRoot, claims[1])).to.be.equal(true);
+
+    const resultCurrent = mt.prune();
+    expect(resultCurrent.deletedNodes).to.be.above(0);
+    expect(countStored(mt)).to.be.equal(countNodes(mt));
+    expect(() => mt.snapshot(oldRoot)).to.throw('Root not found in database');
+    for (let i = 0; i < claims.length; i++) {
+      const proofCurrent = iden3.sparseMerkleTree.Proof.fromBuffer(mt.generateProof(claims[i].slice(2)));
+      expect(proofCurrent.verify(mt.root, claims[i])).to.be.equal(true);
+    }
+    // Nothing left to prune
+    expect(mt.prune()).to.be.deep.equal({ deletedNodes: 0, freedBytes: 0 });
+    expect(countStored(mtOther)).to.be.equal(storedOther);
+    // Root is kept, so the merkle tree is loaded again
+    const reloaded = new iden3.sparseMerkleTree.SparseMerkleTree(db, mt.idAddr);
+    expect(iden3.utils.bytesToHex(reloaded.root)).to.be.equal(iden3.utils.bytesToHex(mt.root));
+  });
+  it('snapshot can not be pruned', () => {
+    const mt = newTree();
+    mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(1)]);
+    expect(() => mt.snapshot().prune()).to.throw('Merkle tree snapshot is read-only');
+  });
+
+  it('legacy merkle tree of the same identity is not affected', () => {
+    const mt = newTree();
+    const legacy = new iden3.merkleTree.MerkleTree(db, 140, mt.idAddr);
+    const leaf = { data: Buffer.from('this is a test claim'), indexLength: 15 };
+    legacy.addClaim(leaf);
+    mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(1)]);
+    mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(2)]);
+    mt.addClaim([bigInt(0), bigInt(0), bigInt(0), bigInt(3)]);
+    expect(mt.prune().deletedNodes).to.be.above(0);
+    expect(legacy.getLeafByHi(iden3.utils.hashBytes(leaf.data.slice(0, leaf.indexLength)))).to.be.deep.equal(leaf);
+  });
+});
+
+describe('[sparse-merkle-tree] Hash function', () => {
+  const { hashers, Proof } = iden3.sparseMerkleTree;
+  let mt;
+  let mtMimc7;
+  const claims = [];
+  before('Create merkle trees', () => {
+    numTrees += 1;
+    mt = new iden3.sparseMerkleTree.SparseMerkleTree(db, `${idAddr}-${numTrees}-`, 140, hashers.keccak256);
+    mtMimc7 = newTree();
+    for (let i = 0; i < 8; i++) {
+      claims.push([bigInt(0), bigInt(0), bigInt(0), bigInt(i)]);
+    }
+    mt.addClaims(claims.slice(0, 4));
+    for (let i = 4; i < claims.length; i++) {
+      mt.addClaim(claims[i]);
+    }
+    mtMimc7.addClaims(claims);
+  });
+
+  it('root depends on the hasher', () => {
+    expect(iden3.utils.bytesToHex(mt.root)).to.be.not.equal(iden3.utils.bytesToHex(mtMimc7.root));
+    let numLeaves = 0;
+    mt.walk((key, nodeValue) => {
+      if (nodeValue.length === 4) {
+        const hashes = helpers.getHiHv(helpers.getArrayBigIntFromBuffArray(nodeValue), hashers.keccak256);
+        expect(Buffer.compare(key, helpers.getHashFinalNode(hashes[0], hashes[1], hashers.keccak256))).to.be.equal(0);
+        numLeaves += 1;
+      }
+    });
+    expect(numLeaves).to.be.equal(claims.length);
+  });
+  it('merkle tree stored is opened with its hasher only', () => {
+    const reopened = new iden3.sparseMerkleTree.SparseMerkleTree(db, mt.idAddr, 140, hashers.keccak256);
+    expect(reopened.root).to.be.deep.equal(mt.root);
+    expect(() => new iden3.sparseMerkleTree.SparseMerkleTree(db, mt.idAddr))
+      .to.throw('Merkle tree is built with keccak256 hasher, not mimc7');
+    expect(() => new iden3.sparseMerkleTree.SparseMerkleTree(db, mtMimc7.idAddr, 140, hashers.poseidon))
+      .to.throw('Merkle tree is built with mimc7 hasher, not poseidon');
+    // Merkle trees stored without hasher are built with MiMC7
+    const dbNoHasher = new iden3.Db(new iden3.MemoryBackend());
+    db.iterate(mtMimc7.prefix, (key, value) => dbNoHasher.insert(key, value));
+    dbNoHasher.delete(`${mtMimc7.prefix}hasher`);
+    expect(new iden3.sparseMerkleTree.SparseMerkleTree(dbNoHasher, mtMimc7.idAddr).root).to.be.deep.equal(mtMimc7.root);
+    expect(() => new iden3.sparseMerkleTree.SparseMerkleTree(dbNoHasher, mtMimc7.idAddr, 140, hashers.keccak256))
+      .to.throw('Merkle tree is built with mimc7 hasher, not keccak256');
+  });
+  it('proofs record the hasher', () => {
+    const proofBuff = mt.generateProof(claims[3].slice(2));
+    const proof = Proof.fromBuffer(proofBuff);
+    expect(proof.hasher).to.be.equal(hashers.keccak256);
+    expect(iden3.utils.bytesToHex(proof.toBuffer())).to.be.equal(iden3.utils.bytesToHex(proofBuff));
+    expect(proof.verify(mt.root, claims[3])).to.be.equal(true);
+    expect(Proof.fromJSON(JSON.stringify(proof)).hasher).to.be.equal(hashers.keccak256);
+    const hashes = helpers.getHiHv(claims[3], hashers.keccak256);
+    const hiHex = iden3.utils.bytesToHex(helpers.bigIntToBuffer(hashes[0]));
+    const hvHex = iden3.utils.bytesToHex(helpers.bigIntToBuffer(hashes[1]));
+    const rootHex = iden3.utils.bytesToHex(mt.root);
+    expect(iden3.sparseMerkleTree.checkProof(rootHex, iden3.utils.bytesToHex(proofBuff), hiHex, hvHex)).to.be.equal(true);
+    // Same proof taken as a MiMC7 one does not verify
+    const proofMimc7 = new Proof(proof.existence, proof.siblings, proof.nodeAux);
+    expect(proofMimc7.verify(mt.root, claims[3])).to.be.equal(false);
+  });
+  it('proof of non-existence and transitions with the hasher', () => {
+    const claim = [bigInt(0), bigInt(0), bigInt(0), bigInt(20)];
+    const proof = Proof.fromBuffer(mt.generateProof(claim.slice(2)));
+    expect(proof.existence).to.be.equal(false);
+    expect(proof.verify(mt.root, claim)).to.be.equal(true);
+    const transition = mt.addClaimWithProof(claim);
+    expect(transition.hasher).to.be.equal('keccak256');
+    expect(iden3.sparseMerkleTree.checkTransitionProof(transition)).to.be.equal(true);
+  });
+  it('poseidon merkle tree', () => {
+    numTrees += 1;
+    const mtPoseidon = new iden3.sparseMerkleTree.SparseMerkleTree(db, `${idAddr}-${numTrees}-`, 140, hashers.poseidon);
+    mtPoseidon.addClaims(claims);
+    const proof = Proof.fromBuffer(mtPoseidon.generateProof(claims[5].slice(2)));
+    expect(proof.hasher).to.be.equal(hashers.poseidon);
+    const entry = new Entry();
+    entry.elements = helpers.getArrayBuffFromArrayBigInt(claims[5]);
+    expect(proof.verify(mtPoseidon.root, entry)).to.be.equal(true);
+  });
+});
@@ -31,8 +31,7 @@ describe('[key-container] kc.type', () => {
 
 describe('[key-container] new localstorageKeyContainer', () => {
   it('new localstorageKeyContainer', () => {
-    const kc0 = new iden3.KeyContainer('test');
-    expect(kc0.type).to.be.equal(undefined);
+    expect(() => new iden3.KeyContainer('test')).to.throw('Unknown key container type: test');
     const kc = new iden3.KeyContainer('localStorage', db);
     expect(kc.type).to.be.equal('localStorage');
   });
@@ -61,8 +60,7 @@ describe('[key-container] testkc.sign()', () => {
 
 describe('[key-container] new localstorageKeyContainer', () => {
   it('new localstorageKeyContainer', () => {
-    const kc0 = new iden3.KeyContainer('test');
-    expect(kc0.type).to.be.equal(undefined);
+    expect(() => new iden3.KeyContainer('test')).to.throw('Unknown key container type: test');
     const testkc = new iden3.KeyContainer('localStorage', db);
     expect(testkc.type).to.be.equal('localStorage');
     const lskc = new iden3.KeyContainer('localStorage', db);